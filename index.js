@@ -15,9 +15,19 @@ const cluster = require('cluster');
 const numCPUs = require('os').cpus().length;
 
 const AuthenticationService = require.main.require('./services/authentication');
+const RoleService = require.main.require('./services/role');
 const UserService = require.main.require('./services/user');
+const SessionService = require.main.require('./services/session');
+const TokenService = require.main.require('./services/token');
+const LockoutService = require.main.require('./services/lockout');
+const TwoFactorService = require.main.require('./services/twoFactor');
+const ApiKeyService = require.main.require('./services/apiKey');
 const CategoryService = require.main.require('./services/category');
+const MediaService = require.main.require('./services/media');
 const PostService = require.main.require('./services/post');
+const RevisionService = require.main.require('./services/revision');
+const CommentService = require.main.require('./services/comment');
+const TrashService = require.main.require('./services/trash');
 const config = require('./config');
 const routeBuilder = require('./routes');
 
@@ -39,7 +49,11 @@ async function startAPI() {
     verifyOptions: { algorithms: [config.jwtAlgorithm] },
   });
 
-  server.auth.default('jwt');
+  // Machine clients authenticate with API keys instead
+  server.auth.scheme('api_key', AuthenticationService.apiKeyScheme);
+  server.auth.strategy('api_key', 'api_key');
+
+  server.auth.default({ strategies: ['jwt', 'api_key'] });
 
   const routes = await routeBuilder();
   server.route(routes);
@@ -47,14 +61,26 @@ async function startAPI() {
   // Initialize tables
   await initializeTables();
 
+  // Permanently delete records once they have been in the trash long enough
+  TrashService.schedule();
+
   await server.start();
   return server;
 }
 
 async function initializeTables() {
+  await RoleService.init();
   await UserService.init();
+  await SessionService.init();
+  await TokenService.init();
+  await LockoutService.init();
+  await TwoFactorService.init();
+  await ApiKeyService.init();
   await CategoryService.init();
+  await MediaService.init();
   await PostService.init();
+  await RevisionService.init();
+  await CommentService.init();
 }
 
 function init() {
@@ -0,0 +1,100 @@
+/**
+ * Handles API key actions
+ */
+
+const Joi = require('joi');
+const Boom = require('boom');
+const _ = require('lodash');
+
+const ApiKeyService = require.main.require('./services/apiKey');
+const RoleService = require.main.require('./services/role');
+
+/**
+ * @object
+ * Route Validation Schemas
+ */
+const _schemas = {
+  findOneById: {
+    id: Joi.number().integer().min(1).required(),
+  },
+  create: Joi.object().keys({
+    name: Joi.string().trim().min(1).required(),
+    scopes: Joi.array().items(Joi.string().valid(Object.keys(RoleService.permissions))).required(),
+    expiresAt: Joi.date().min('now'),
+  }),
+};
+
+module.exports = prefix => [
+  // Get the current user's API keys
+  {
+    method: 'GET',
+    path: `${prefix}`,
+    handler: async (request) => {
+      try {
+        const apiKeys = await ApiKeyService.search(request.auth.credentials.id);
+        return apiKeys;
+      } catch (err) {
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      auth: 'jwt',
+    },
+  },
+  // Create an API key for the current user
+  {
+    method: 'POST',
+    path: `${prefix}`,
+    handler: async (request, h) => {
+      try {
+        const owner = request.auth.credentials.id;
+        const scopes = _.uniq(request.payload.scopes);
+
+        // Keys can only be given permissions the user has
+        const permissions = await RoleService.getPermissions(owner);
+        if (_.difference(scopes, permissions).length) {
+          return Boom.forbidden('API keys can only be given permissions you have');
+        }
+
+        const apiKey = await ApiKeyService.create({ ...request.payload, owner, scopes });
+        return h.response(apiKey).code(201);
+      } catch (err) {
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [201, 403] },
+      },
+      auth: 'jwt',
+      validate: {
+        payload: _schemas.create,
+      },
+    },
+  },
+  // Revoke one of the current user's API keys
+  {
+    method: 'DELETE',
+    path: `${prefix}/{id}`,
+    handler: async (request, h) => {
+      try {
+        await ApiKeyService.revoke(request.params.id, { owner: request.auth.credentials.id });
+        return h.response().code(204);
+      } catch (err) {
+        return Boom.notFound('API Key not Found');
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [204] },
+      },
+      auth: 'jwt',
+      validate: {
+        params: _schemas.findOneById,
+      },
+    },
+  },
+];
@@ -4,10 +4,13 @@
 
 const Joi = require('joi');
 const Boom = require('boom');
-const _ = require('lodash');
 
 const CategoryService = require.main.require('./services/category');
+const PostService = require.main.require('./services/post');
 const MiddlewareService = require.main.require('./services/middleware');
+const AuthenticationService = require.main.require('./services/authentication');
+const PaginationService = require.main.require('./services/pagination');
+const QueryService = require.main.require('./services/query');
 
 /**
  * @object
@@ -17,31 +20,59 @@ const _schemas = {
   findOneById: {
     id: Joi.number().integer().min(1).required(),
   },
+  findOneBySlug: {
+    slug: Joi.string().min(1).required(),
+  },
+  findOne: Joi.object().keys({
+    include_descendants: Joi.boolean().default(false),
+  }),
+  findPostBySlug: {
+    id: Joi.number().integer().min(1).required(),
+    slug: Joi.string().min(1).required(),
+  },
   search: Joi.object().keys({
     searchText: Joi.string().min(1),
-    limit: Joi.number().integer().min(0),
-    skip: Joi.number().integer().min(0),
-    page: Joi.number().integer().min(1),
-    per_page: Joi.number().integer().min(1),
-    order_by: Joi.string().valid([
+    ...PaginationService.schema,
+    order_by: QueryService.sortSchema([
       'id',
       'name',
+      'slug',
       'description',
-      '-id',
-      '-name',
-      '-description',
     ]).default('id'),
+    fields: QueryService.fieldsSchema(CategoryService.fields),
+    tree: Joi.boolean().default(false),
+    include_descendants: Joi.boolean().default(false),
+    // The tree only shows categories that have not been deleted
+    trashed: Joi.boolean().default(false)
+      .when('tree', { is: true, then: Joi.valid(false) }),
+  }),
+  delete: Joi.object().keys({
+    hard: Joi.boolean().default(false),
+    reassignTo: Joi.number().integer().min(1),
   }),
   create: Joi.object().keys({
     name: Joi.string().required(),
     description: Joi.string(),
+    slug: Joi.string(),
+    parent: Joi.number().integer().min(1).allow(null),
   }),
   update: Joi.object().keys({
     name: Joi.string(),
     description: Joi.string(),
+    slug: Joi.string(),
+    parent: Joi.number().integer().min(1).allow(null),
   }),
 };
 
+/**
+ * Describes which unique value of a category is already in use
+ * @param {Error} err Unique violation raised by the database
+ * @returns {String} Error message
+ */
+const _conflictMessage = err => (err.constraint === 'index_categories_slug'
+  ? 'Slug provided is in use'
+  : 'Name provided is in use');
+
 module.exports = prefix => [
   // Search for categories
   {
@@ -49,25 +80,46 @@ module.exports = prefix => [
     path: `${prefix}`,
     handler: async (request, h) => {
       try {
-        // Set the limit and skip to values provided
-        // Default to all entries skipping 0
+        if (request.query.trashed) {
+          const canViewTrash = request.auth.credentials
+            && await AuthenticationService.hasPermission(request.auth.credentials, 'categories:write');
+          if (!canViewTrash) {
+            return Boom.unauthorized('The categories:write permission is required to access this content.');
+          }
+        }
+
+        // The tree includes every category, so it is not paginated
+        if (request.query.tree) {
+          const tree = await CategoryService.tree({
+            includeDescendants: request.query.include_descendants,
+            fields: request.query.fields,
+          });
+          return tree;
+        }
+
         const options = {
-          limit: _.isNumber(request.query.limit) ? request.query.limit : null,
-          offset: _.isNumber(request.query.skip) ? request.query.skip : 0,
+          ...PaginationService.getOptions(request.query),
           orderBy: request.query.order_by,
+          trashed: request.query.trashed,
+          includeDescendants: request.query.include_descendants,
+          fields: request.query.fields,
         };
 
         const searchResult = await CategoryService.search(request.query.searchText, options);
         const response = h.response(searchResult.categories);
-        response.header('X-Total-Count', searchResult.count);
-        return response;
+        return PaginationService.setHeaders(request, response, searchResult, options);
       } catch (err) {
+        if (err.message === 'Invalid Cursor') {
+          return Boom.badRequest('Invalid Cursor');
+        }
         return Boom.internal();
       }
     },
     options: {
       cors: true,
-      auth: false,
+      auth: {
+        mode: 'optional',
+      },
       validate: {
         query: _schemas.search,
       },
@@ -83,18 +135,24 @@ module.exports = prefix => [
         return category;
       } catch (err) {
         if (err.code === '23505') {
-          return Boom.forbidden('Name provided is in use');
+          return Boom.forbidden(_conflictMessage(err));
+        }
+        if (err.message === 'Invalid Parent') {
+          return Boom.badRequest('Parent category not Found');
         }
         return Boom.internal();
       }
     },
     options: {
       cors: true,
+      plugins: {
+        documentation: { responses: [200, 403] },
+      },
       validate: {
         payload: _schemas.create,
       },
       pre: [
-        { method: MiddlewareService.hasAdminPermissions },
+        { method: MiddlewareService.requirePermission('categories:write') },
       ],
     },
   },
@@ -104,7 +162,9 @@ module.exports = prefix => [
     path: `${prefix}/{id}`,
     handler: async (request) => {
       try {
-        const category = await CategoryService.findOneById(request.params.id);
+        const category = await CategoryService.findOneById(request.params.id, {
+          includeDescendants: request.query.include_descendants,
+        });
         return category;
       } catch (err) {
         return Boom.notFound('Category not Found');
@@ -115,10 +175,83 @@ module.exports = prefix => [
       auth: false,
       validate: {
         params: _schemas.findOneById,
+        query: _schemas.findOne,
       },
     },
   },
-  // Get a single category by id
+  // Get a single category by slug
+  {
+    method: 'GET',
+    path: `${prefix}/slug/{slug}`,
+    handler: async (request) => {
+      try {
+        const category = await CategoryService.findOneBySlug(request.params.slug, {
+          includeDescendants: request.query.include_descendants,
+        });
+        return category;
+      } catch (err) {
+        return Boom.notFound('Category not Found');
+      }
+    },
+    options: {
+      cors: true,
+      auth: false,
+      validate: {
+        params: _schemas.findOneBySlug,
+        query: _schemas.findOne,
+      },
+    },
+  },
+  // Get a single post in a category by slug
+  {
+    method: 'GET',
+    path: `${prefix}/{id}/posts/{slug}`,
+    handler: async (request, h) => {
+      const { id, slug } = request.params;
+      let canViewUnpublishedPosts = false;
+      try {
+        if (request.auth && request.auth.credentials && request.auth.credentials.id) {
+          canViewUnpublishedPosts = await AuthenticationService.hasPermission(
+            request.auth.credentials,
+            'posts:preview',
+          );
+        }
+
+        const post = await PostService.findOneBySlug(slug, {
+          published: !canViewUnpublishedPosts,
+          category: id,
+        });
+
+        return post;
+      } catch (err) {
+        // Fall through to look for a post that used to have the slug
+      }
+
+      try {
+        const post = await PostService.findOneByPreviousSlug(slug, {
+          published: !canViewUnpublishedPosts,
+          category: id,
+        });
+
+        return h.redirect(`${prefix}/${id}/posts/${encodeURIComponent(post.slug)}`).permanent();
+      } catch (err) {
+        return Boom.notFound('Post not Found');
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [200, 301] },
+      },
+      auth: {
+        mode: 'optional',
+      },
+      validate: {
+        params: _schemas.findPostBySlug,
+      },
+    },
+  },
+  // Update a single category by id
   {
     method: 'PATCH',
     path: `${prefix}/{id}`,
@@ -130,19 +263,50 @@ module.exports = prefix => [
         return h.response().code(204);
       } catch (err) {
         if (err.code === '23505') {
-          return Boom.forbidden('Name provided is in use');
+          return Boom.forbidden(_conflictMessage(err));
+        }
+        if (err.message === 'Invalid Parent') {
+          return Boom.badRequest('Parent category not Found, or is nested under the category');
         }
         return Boom.notFound('Category not Found');
       }
     },
     options: {
       cors: true,
+      plugins: {
+        documentation: { responses: [204, 403] },
+      },
       validate: {
         params: _schemas.findOneById,
         payload: _schemas.update,
       },
       pre: [
-        { method: MiddlewareService.hasAdminPermissions },
+        { method: MiddlewareService.requirePermission('categories:write') },
+      ],
+    },
+  },
+  // Restore a deleted category
+  {
+    method: 'POST',
+    path: `${prefix}/{id}/restore`,
+    handler: async (request, h) => {
+      try {
+        await CategoryService.restore(request.params.id);
+        return h.response().code(204);
+      } catch (err) {
+        return Boom.notFound('Category not Found');
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [204] },
+      },
+      validate: {
+        params: _schemas.findOneById,
+      },
+      pre: [
+        { method: MiddlewareService.requirePermission('categories:write') },
       ],
     },
   },
@@ -151,21 +315,38 @@ module.exports = prefix => [
     method: 'DELETE',
     path: `${prefix}/{id}`,
     handler: async (request, h) => {
-      // TODO: Support hard delete
       try {
-        await CategoryService.softDelete(request.params.id);
+        const options = { reassignTo: request.query.reassignTo };
+        if (request.query.hard) {
+          await CategoryService.hardDelete(request.params.id, options);
+        } else {
+          await CategoryService.softDelete(request.params.id, options);
+        }
         return h.response().code(204);
       } catch (err) {
+        if (err.message === 'Record In Use') {
+          return Boom.conflict('Category has posts, provide reassignTo to move them to another category');
+        }
+        if (err.message === 'Protected Category') {
+          return Boom.forbidden('The default category cannot be deleted');
+        }
+        if (err.message === 'Invalid Reassign Category') {
+          return Boom.badRequest('Category to reassign posts to not Found');
+        }
         return Boom.notFound('Category not Found');
       }
     },
     options: {
       cors: true,
+      plugins: {
+        documentation: { responses: [204, 403, 409] },
+      },
       validate: {
         params: _schemas.findOneById,
+        query: _schemas.delete,
       },
       pre: [
-        { method: MiddlewareService.hasAdminPermissions },
+        { method: MiddlewareService.requirePermission('categories:write') },
       ],
     },
   },
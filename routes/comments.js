@@ -0,0 +1,174 @@
+/**
+ * Handles comment API actions
+ */
+
+const Joi = require('joi');
+const Boom = require('boom');
+
+const CommentService = require.main.require('./services/comment');
+const MiddlewareService = require.main.require('./services/middleware');
+const AuthenticationService = require.main.require('./services/authentication');
+const PaginationService = require.main.require('./services/pagination');
+const QueryService = require.main.require('./services/query');
+
+/**
+ * @object
+ * Route Validation Schemas
+ */
+const _schemas = {
+  findOneById: {
+    id: Joi.number().integer().min(1).required(),
+  },
+  search: Joi.object().keys({
+    ...PaginationService.schema,
+    order_by: QueryService.sortSchema([
+      'id',
+      'post',
+      'status',
+      'createdAt',
+      'updatedAt',
+    ]).default('id'),
+    status: Joi.string().valid(CommentService.statuses).default('pending'),
+    post: Joi.number().integer().min(1),
+    author: Joi.number().integer().min(1),
+  }),
+  update: Joi.object().keys({
+    content: Joi.string().trim().min(1),
+    status: Joi.string().valid(CommentService.statuses),
+  }).or('content', 'status'),
+};
+
+/**
+ * Fetches a comment that a user is allowed to manage
+ * Users who can moderate comments can manage any comment, others can only manage their own
+ * @param {Object} credentials Credentials of the user
+ * @param {Number} id Comment's id
+ * @returns {Object} Found `comment`, and whether the user is a `moderator`
+ */
+const _findManageableComment = async (credentials, id) => {
+  const comment = await CommentService.findOneById(id);
+
+  const moderator = await AuthenticationService.hasPermission(credentials, 'comments:moderate');
+  if (!moderator && comment.author !== credentials.id) {
+    throw new Error('No Record Found');
+  }
+
+  return { comment, moderator };
+};
+
+module.exports = prefix => [
+  // Search for comments, defaulting to those waiting for moderation
+  {
+    method: 'GET',
+    path: `${prefix}`,
+    handler: async (request, h) => {
+      try {
+        const options = {
+          ...PaginationService.getOptions(request.query),
+          orderBy: request.query.order_by,
+        };
+
+        const searchResult = await CommentService.search({
+          status: request.query.status,
+          post: request.query.post,
+          author: request.query.author,
+        }, options);
+
+        const response = h.response(searchResult.comments);
+        return PaginationService.setHeaders(request, response, searchResult, options);
+      } catch (err) {
+        if (err.message === 'Invalid Cursor') {
+          return Boom.badRequest('Invalid Cursor');
+        }
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      validate: {
+        query: _schemas.search,
+      },
+      pre: [
+        { method: MiddlewareService.requirePermission('comments:moderate') },
+      ],
+    },
+  },
+  // Edit or moderate a single comment by id
+  {
+    method: 'PATCH',
+    path: `${prefix}/{id}`,
+    handler: async (request, h) => {
+      try {
+        const payload = { ...request.payload };
+
+        const { credentials } = request.auth;
+
+        // Ensure that the comment belongs to the user, unless they can moderate comments
+        const { comment, moderator } = await _findManageableComment(credentials, request.params.id);
+
+        if (!moderator) {
+          if (payload.status) {
+            return Boom.forbidden('The comments:moderate permission is required to change the status of comments.');
+          }
+
+          // Edited comments wait for moderation again
+          if (comment.status === 'approved') {
+            payload.status = CommentService.initialStatus(false);
+          }
+        }
+
+        await CommentService.update(request.params.id, payload);
+        return h.response().code(204);
+      } catch (err) {
+        if (err.message === 'No Record Found') {
+          return Boom.notFound('Comment not Found');
+        }
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [204, 403] },
+      },
+      validate: {
+        params: _schemas.findOneById,
+        payload: _schemas.update,
+      },
+      pre: [
+        { method: MiddlewareService.requirePermission('comments:write') },
+      ],
+    },
+  },
+  // Delete a single comment by id
+  {
+    method: 'DELETE',
+    path: `${prefix}/{id}`,
+    handler: async (request, h) => {
+      try {
+        // Ensure that the comment belongs to the user, unless they can moderate comments
+        await _findManageableComment(request.auth.credentials, request.params.id);
+
+        await CommentService.softDelete(request.params.id);
+        return h.response().code(204);
+      } catch (err) {
+        if (err.message === 'No Record Found') {
+          return Boom.notFound('Comment not Found');
+        }
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [204] },
+      },
+      validate: {
+        params: _schemas.findOneById,
+      },
+      pre: [
+        { method: MiddlewareService.requirePermission('comments:write') },
+      ],
+    },
+  },
+];
@@ -6,6 +6,8 @@
 
 const fs = require('fs').promises;
 
+const DocumentationService = require.main.require('./services/documentation');
+
 module.exports = async () => {
   const files = await fs.readdir('./routes');
   let routes = [];
@@ -13,10 +15,43 @@ module.exports = async () => {
   files.forEach((file) => {
     if (file.endsWith('.js') && file !== 'index.js') {
       // Use the file name for the route unless it's root
-      const prefix = file === 'root.js' ? '' : `/${file.split('.js')[0]}`;
-      routes = [...routes, ...require.main.require(`./routes/${file}`)(prefix)];
+      const name = file.split('.js')[0];
+      const prefix = file === 'root.js' ? '' : `/${name}`;
+
+      // Group the routes from each file in the documentation
+      const fileRoutes = require.main.require(`./routes/${file}`)(prefix).map(route => ({
+        ...route,
+        options: {
+          tags: [file === 'root.js' ? 'account' : name],
+          ...route.options,
+        },
+      }));
+      routes = [...routes, ...fileRoutes];
     }
   });
 
-  return routes;
+  // Document the loaded routes
+  const documentation = DocumentationService.generate(routes);
+
+  return [
+    ...routes,
+    {
+      method: 'GET',
+      path: '/openapi.json',
+      handler: () => documentation,
+      options: {
+        cors: true,
+        auth: false,
+      },
+    },
+    {
+      method: 'GET',
+      path: '/documentation',
+      handler: (request, h) => h.response(DocumentationService.renderPage('/openapi.json')).type('text/html'),
+      options: {
+        cors: true,
+        auth: false,
+      },
+    },
+  ];
 };
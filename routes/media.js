@@ -0,0 +1,234 @@
+/**
+ * Handles media API actions
+ */
+
+const fs = require('fs');
+const Joi = require('joi');
+const Boom = require('boom');
+
+const MediaService = require.main.require('./services/media');
+const StorageService = require.main.require('./services/storage');
+const MiddlewareService = require.main.require('./services/middleware');
+const AuthenticationService = require.main.require('./services/authentication');
+const PaginationService = require.main.require('./services/pagination');
+const QueryService = require.main.require('./services/query');
+const config = require.main.require('./config');
+
+/**
+ * @object
+ * Route Validation Schemas
+ */
+const _schemas = {
+  findOneById: {
+    id: Joi.number().integer().min(1).required(),
+  },
+  findFile: {
+    key: Joi.string().regex(/^[a-f0-9]{32}(\.[a-z0-9]+)?$/).required(),
+  },
+  search: Joi.object().keys({
+    searchText: Joi.string().min(1),
+    type: Joi.string().min(1),
+    uploader: Joi.number().integer().min(1),
+    ...PaginationService.schema,
+    order_by: QueryService.sortSchema([
+      'id',
+      'filename',
+      'mime',
+      'size',
+      'createdAt',
+    ]).default('id'),
+  }),
+  create: Joi.object().keys({
+    file: Joi.object().keys({
+      filename: Joi.string().min(1).required(),
+      path: Joi.string().required(),
+      headers: Joi.object().required(),
+      bytes: Joi.number(),
+    }).required(),
+  }),
+};
+
+/**
+ * Removes the temporary file of an upload that was rejected before it could be stored
+ * @param {Object} request Request object, with the uploaded file
+ * @param {Object} h Response toolkit
+ * @returns {Symbol} Continue signal
+ */
+const _removeUpload = (request, h) => {
+  const file = request.payload && request.payload.file;
+  if (file && file.path) {
+    fs.unlink(file.path, () => {});
+  }
+
+  return h.continue;
+};
+
+module.exports = prefix => [
+  // Search the media library
+  {
+    method: 'GET',
+    path: `${prefix}`,
+    handler: async (request, h) => {
+      try {
+        const options = {
+          ...PaginationService.getOptions(request.query),
+          orderBy: request.query.order_by,
+        };
+
+        const searchResult = await MediaService.search({
+          searchText: request.query.searchText,
+          type: request.query.type,
+          uploader: request.query.uploader,
+        }, options);
+
+        const response = h.response(searchResult.media);
+        return PaginationService.setHeaders(request, response, searchResult, options);
+      } catch (err) {
+        if (err.message === 'Invalid Cursor') {
+          return Boom.badRequest('Invalid Cursor');
+        }
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      validate: {
+        query: _schemas.search,
+      },
+      pre: [
+        { method: MiddlewareService.requirePermission('media:upload') },
+      ],
+    },
+  },
+  // Upload a file to the media library
+  {
+    method: 'POST',
+    path: `${prefix}`,
+    handler: async (request, h) => {
+      try {
+        const { file } = request.payload;
+
+        const media = await MediaService.create({
+          source: file.path,
+          filename: file.filename,
+          mime: file.headers['content-type'],
+          uploader: request.auth.credentials.id,
+        });
+        return h.response(media).code(201);
+      } catch (err) {
+        if (err.message === 'Invalid Media Type') {
+          return Boom.unsupportedMediaType('File type is not allowed');
+        }
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [201, 415] },
+      },
+      payload: {
+        output: 'file',
+        parse: true,
+        allow: 'multipart/form-data',
+        maxBytes: config.maxUploadBytes,
+      },
+      ext: {
+        onPreResponse: { method: _removeUpload },
+      },
+      validate: {
+        payload: _schemas.create,
+      },
+      pre: [
+        { method: MiddlewareService.requirePermission('media:upload') },
+      ],
+    },
+  },
+  // Get a single media record by id
+  {
+    method: 'GET',
+    path: `${prefix}/{id}`,
+    handler: async (request) => {
+      try {
+        const media = await MediaService.findOneById(request.params.id);
+        delete media.key;
+        return media;
+      } catch (err) {
+        return Boom.notFound('Media not Found');
+      }
+    },
+    options: {
+      cors: true,
+      validate: {
+        params: _schemas.findOneById,
+      },
+      pre: [
+        { method: MiddlewareService.requirePermission('media:upload') },
+      ],
+    },
+  },
+  // Serve a stored file
+  {
+    method: 'GET',
+    path: `${prefix}/files/{key}`,
+    handler: async (request, h) => {
+      let media;
+      try {
+        media = await MediaService.findOneByKey(request.params.key);
+      } catch (err) {
+        return Boom.notFound('Media not Found');
+      }
+
+      try {
+        const stream = await StorageService.read(media.key);
+        return h.response(stream)
+          .type(media.mime)
+          .bytes(media.size)
+          .header('X-Content-Type-Options', 'nosniff');
+      } catch (err) {
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      auth: false,
+      validate: {
+        params: _schemas.findFile,
+      },
+    },
+  },
+  // Delete a single media record by id
+  {
+    method: 'DELETE',
+    path: `${prefix}/{id}`,
+    handler: async (request, h) => {
+      try {
+        const userId = request.auth.credentials.id;
+        const media = await MediaService.findOneById(request.params.id);
+
+        // Ensure that the media was uploaded by the user, unless they can manage media
+        const canManageMedia = await AuthenticationService.hasPermission(request.auth.credentials, 'media:manage');
+        if (!canManageMedia && media.uploader !== userId) {
+          return Boom.notFound('Media not Found');
+        }
+
+        await MediaService.softDelete(request.params.id);
+        return h.response().code(204);
+      } catch (err) {
+        return Boom.notFound('Media not Found');
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [204] },
+      },
+      validate: {
+        params: _schemas.findOneById,
+      },
+      pre: [
+        { method: MiddlewareService.requirePermission('media:upload') },
+      ],
+    },
+  },
+];
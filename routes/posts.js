@@ -4,10 +4,14 @@
 
 const Joi = require('joi');
 const Boom = require('boom');
-const _ = require('lodash');
 
 const PostService = require.main.require('./services/post');
+const CategoryService = require.main.require('./services/category');
+const CommentService = require.main.require('./services/comment');
+const RevisionService = require.main.require('./services/revision');
 const MiddlewareService = require.main.require('./services/middleware');
+const PaginationService = require.main.require('./services/pagination');
+const QueryService = require.main.require('./services/query');
 const AuthenticationService = require.main.require('./services/authentication');
 
 /**
@@ -18,43 +22,84 @@ const _schemas = {
   findOneById: {
     id: Joi.number().integer().min(1).required(),
   },
+  findOneBySlug: {
+    slug: Joi.string().min(1).required(),
+  },
+  findOne: Joi.object().keys({
+    trashed: Joi.boolean().default(false),
+  }),
+  findRevision: {
+    id: Joi.number().integer().min(1).required(),
+    revision: Joi.number().integer().min(1).required(),
+  },
+  searchRevisions: Joi.object().keys({
+    ...PaginationService.schema,
+    // Revisions are only paged by offset
+    cursor: Joi.forbidden(),
+  }),
+  diffRevisions: Joi.object().keys({
+    from: Joi.number().integer().min(1).required(),
+    to: Joi.number().integer().min(1),
+  }),
+  reviewQueue: Joi.object().keys({
+    ...PaginationService.schema,
+  }),
+  checkSlug: Joi.object().keys({
+    slug: Joi.string().min(1).required(),
+  }),
+  createComment: Joi.object().keys({
+    content: Joi.string().trim().min(1).required(),
+    parent: Joi.number().integer().min(1),
+  }),
   search: Joi.object().keys({
     searchText: Joi.string().min(1),
-    limit: Joi.number().integer().min(0),
-    skip: Joi.number().integer().min(0),
-    page: Joi.number().integer().min(1),
-    per_page: Joi.number().integer().min(1),
-    order_by: Joi.string().valid([
+    highlight: Joi.boolean().default(false),
+    ...PaginationService.schema,
+    order_by: QueryService.sortSchema([
       'id',
       'authorFirstName',
       'authorLastName',
       'title',
       'template',
       'category',
-      '-id',
-      '-authorFirstName',
-      '-authorLastName',
-      '-title',
-      '-template',
-      '-category',
+      'published',
+      'createdAt',
+      'updatedAt',
+      'publishAt',
+      'status',
     ]).default('id'),
+    // Listings leave out the full content of posts unless it is requested
+    fields: QueryService.fieldsSchema(PostService.fields),
     template: Joi.string().min(1),
     category: Joi.string().min(1),
+    status: Joi.string().valid(PostService.statuses),
     published: Joi.boolean().default(true),
+    published_after: Joi.date().iso(),
+    published_before: Joi.date().iso(),
     author: Joi.number().integer().min(1),
-    // TODO: handle tags
+    tags: Joi.string().min(1),
+    tag_mode: Joi.string().valid(['any', 'all']).default('any'),
+    trashed: Joi.boolean().default(false),
+  }),
+  delete: Joi.object().keys({
+    hard: Joi.boolean().default(false),
   }),
   create: Joi.object().keys({
     author: Joi.number().integer().min(1),
     title: Joi.string().required(),
     description: Joi.string(),
     content: Joi.string().required(),
-    category: Joi.number().integer().min(1).required(),
-    slug: Joi.string().required(),
+    category: Joi.number().integer().min(1),
+    slug: Joi.string(),
     template: Joi.string(),
+    status: Joi.string().valid(PostService.statuses),
     published: Joi.boolean(),
+    publishAt: Joi.date().iso().allow(null),
+    unpublishAt: Joi.date().iso().allow(null)
+      .when('publishAt', { is: Joi.date(), then: Joi.date().min(Joi.ref('publishAt')) }),
+    featuredImage: Joi.number().integer().min(1).allow(null),
     tags: Joi.array().items(Joi.string()),
-  }),
+  }).nand('status', 'published'),
   update: Joi.object().keys({
     author: Joi.number().integer().min(1),
     title: Joi.string(),
@@ -63,9 +108,43 @@ const _schemas = {
     category: Joi.number().integer().min(1),
     slug: Joi.string(),
     template: Joi.string(),
+    status: Joi.string().valid(PostService.statuses),
     published: Joi.boolean(),
+    publishAt: Joi.date().iso().allow(null),
+    unpublishAt: Joi.date().iso().allow(null)
+      .when('publishAt', { is: Joi.date(), then: Joi.date().min(Joi.ref('publishAt')) }),
+    featuredImage: Joi.number().integer().min(1).allow(null),
     tags: Joi.array().items(Joi.string()),
-  }),
+  }).nand('status', 'published'),
+};
+
+/**
+ * @object
+ * Workflow transitions available to users without the posts:publish permission
+ * Authors can submit their drafts for review, and withdraw them
+ * Posts in other statuses have been reviewed, so authors can not edit them
+ */
+const _authorTransitions = {
+  draft: ['in_review'],
+  in_review: ['draft'],
+};
+
+/**
+ * Fetches a post that a user is allowed to manage
+ * Users with the posts:manage permission can manage any post, others can only manage their own
+ * @param {Object} credentials Credentials of the user
+ * @param {Number} id Post's id
+ * @returns {Post} Found post
+ */
+const _findManageablePost = async (credentials, id) => {
+  const post = await PostService.findOneById(id, { published: false });
+
+  const canManagePosts = await AuthenticationService.hasPermission(credentials, 'posts:manage');
+  if (!canManagePosts && post.author !== credentials.id) {
+    throw new Error('No Record Found');
+  }
+
+  return post;
 };
 
 module.exports = prefix => [
@@ -76,39 +155,63 @@ module.exports = prefix => [
     handler: async (request, h) => {
       try {
         let canViewUnpublishedPosts = false;
+        let canDeletePosts = false;
         if (request.auth && request.auth.credentials && request.auth.credentials.id) {
-          const hasAuthorPermissions = await AuthenticationService.hasAuthorPermissions(request.auth.credentials.id);
-          canViewUnpublishedPosts = hasAuthorPermissions;
+          canViewUnpublishedPosts = await AuthenticationService.hasPermission(
+            request.auth.credentials,
+            'posts:preview',
+          );
+          canDeletePosts = await AuthenticationService.hasPermission(
+            request.auth.credentials,
+            'posts:delete',
+          );
+        }
+
+        if (request.query.trashed && !canDeletePosts) {
+          return Boom.unauthorized('The posts:delete permission is required to access this content.');
         }
 
-        // Set the limit and skip to values provided
-        // Default to all entries skipping 0
         const options = {
-          limit: _.isNumber(request.query.limit) ? request.query.limit : null,
-          offset: _.isNumber(request.query.skip) ? request.query.skip : 0,
+          ...PaginationService.getOptions(request.query),
           orderBy: request.query.order_by,
+          trashed: request.query.trashed,
+          fields: request.query.fields,
         };
 
+        const publishedFilter = canViewUnpublishedPosts ? request.query.published : true;
         const searchResult = await PostService.search({
           searchText: request.query.searchText,
+          highlight: request.query.highlight,
           template: request.query.template,
-          category: request.query.category,
-          published: canViewUnpublishedPosts ? request.query.published : true,
+          // Categories include every category below them
+          categories: request.query.category
+            ? await CategoryService.findDescendantIds(request.query.category)
+            : undefined,
+          // Filtering by status replaces the default published filter, which trashed posts skip
+          published: (canViewUnpublishedPosts && request.query.status) || request.query.trashed
+            ? null
+            : publishedFilter,
+          status: request.query.status,
+          publishedAfter: request.query.published_after,
+          publishedBefore: request.query.published_before,
           author: request.query.author,
+          // Tags are provided as a comma separated list
+          tags: request.query.tags ? request.query.tags.split(',') : undefined,
+          tagMode: request.query.tag_mode,
         }, options);
-        // TODO: Handle tags
 
         const response = h.response(searchResult.posts);
-        response.header('X-Total-Count', searchResult.count);
-        return response;
+        return PaginationService.setHeaders(request, response, searchResult, options);
       } catch (err) {
+        if (err.message === 'Invalid Cursor') {
+          return Boom.badRequest('Invalid Cursor');
+        }
         return Boom.internal();
       }
     },
     options: {
       cors: true,
       auth: {
-        strategy: 'jwt',
         mode: 'optional',
       },
       validate: {
@@ -129,13 +232,20 @@ module.exports = prefix => [
           ...request.payload,
         };
 
-        const hasEditorPermissions = await AuthenticationService.hasEditorPermissions(userId);
-        if (!hasEditorPermissions) {
-          // Default to the active user if user does not have editor permissions
+        const canManagePosts = await AuthenticationService.hasPermission(request.auth.credentials, 'posts:manage');
+        if (!canManagePosts) {
+          // Default to the active user if user cannot create posts for other authors
           payload.author = userId;
         }
 
-        // TODO: Handle tags
+        const canPublishPosts = await AuthenticationService.hasPermission(request.auth.credentials, 'posts:publish');
+        if (!canPublishPosts) {
+          // Authors can only create drafts, or submit them for review
+          const status = PostService.resolveStatus(payload) || 'draft';
+          if (status !== 'draft' && status !== 'in_review') {
+            return Boom.forbidden('Editor access required to create posts with this status');
+          }
+        }
 
         const post = await PostService.create(payload);
         return post;
@@ -143,16 +253,82 @@ module.exports = prefix => [
         if (err.code === '23505') {
           return Boom.forbidden('Slug provided is in use');
         }
+        if (err.message === 'Invalid Featured Image') {
+          return Boom.badRequest('Featured image not Found');
+        }
+        if (err.message === 'Invalid Category') {
+          return Boom.badRequest('Category not Found');
+        }
         return Boom.internal();
       }
     },
     options: {
       cors: true,
+      plugins: {
+        documentation: { responses: [200, 403] },
+      },
       validate: {
         payload: _schemas.create,
       },
       pre: [
-        { method: MiddlewareService.hasAuthorPermissions },
+        { method: MiddlewareService.requirePermission('posts:write') },
+      ],
+    },
+  },
+  // List posts waiting for review, oldest first
+  {
+    method: 'GET',
+    path: `${prefix}/review-queue`,
+    handler: async (request, h) => {
+      try {
+        const options = {
+          ...PaginationService.getOptions(request.query),
+          orderBy: 'updatedAt',
+        };
+
+        const searchResult = await PostService.search({
+          status: 'in_review',
+          published: null,
+        }, options);
+
+        const response = h.response(searchResult.posts);
+        return PaginationService.setHeaders(request, response, searchResult, options);
+      } catch (err) {
+        if (err.message === 'Invalid Cursor') {
+          return Boom.badRequest('Invalid Cursor');
+        }
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      validate: {
+        query: _schemas.reviewQueue,
+      },
+      pre: [
+        { method: MiddlewareService.requirePermission('posts:publish') },
+      ],
+    },
+  },
+  // Check whether a slug is available for a new post
+  {
+    method: 'GET',
+    path: `${prefix}/slug-available`,
+    handler: async (request) => {
+      try {
+        const result = await PostService.checkSlug(request.query.slug);
+        return result;
+      } catch (err) {
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      validate: {
+        query: _schemas.checkSlug,
+      },
+      pre: [
+        { method: MiddlewareService.requirePermission('posts:write') },
       ],
     },
   },
@@ -163,17 +339,29 @@ module.exports = prefix => [
     handler: async (request) => {
       try {
         let canViewUnpublishedPosts = false;
+        let canDeletePosts = false;
         if (request.auth && request.auth.credentials && request.auth.credentials.id) {
-          const hasAuthorPermissions = await AuthenticationService.hasAuthorPermissions(request.auth.credentials.id);
-          canViewUnpublishedPosts = hasAuthorPermissions;
+          canViewUnpublishedPosts = await AuthenticationService.hasPermission(
+            request.auth.credentials,
+            'posts:preview',
+          );
+          canDeletePosts = await AuthenticationService.hasPermission(
+            request.auth.credentials,
+            'posts:delete',
+          );
+        }
+
+        if (request.query.trashed && !canDeletePosts) {
+          return Boom.unauthorized('The posts:delete permission is required to access this content.');
         }
 
+        // Only return published posts unless allowed to view unpublished ones,
+        // which trashed posts skip as they are never visible
         const post = await PostService.findOneById(request.params.id, {
-          published: canViewUnpublishedPosts,
+          trashed: request.query.trashed,
+          published: !canViewUnpublishedPosts && !request.query.trashed,
         });
 
-        // TODO: Handle tags
-
         return post;
       } catch (err) {
         return Boom.notFound('Post not Found');
@@ -181,9 +369,58 @@ module.exports = prefix => [
     },
     options: {
       cors: true,
-      auth: false,
+      auth: {
+        mode: 'optional',
+      },
       validate: {
         params: _schemas.findOneById,
+        query: _schemas.findOne,
+      },
+    },
+  },
+  // Get a single post by slug
+  {
+    method: 'GET',
+    path: `${prefix}/slug/{slug}`,
+    handler: async (request, h) => {
+      let canViewUnpublishedPosts = false;
+      try {
+        if (request.auth && request.auth.credentials && request.auth.credentials.id) {
+          canViewUnpublishedPosts = await AuthenticationService.hasPermission(
+            request.auth.credentials,
+            'posts:preview',
+          );
+        }
+
+        const post = await PostService.findOneBySlug(request.params.slug, {
+          published: !canViewUnpublishedPosts,
+        });
+
+        return post;
+      } catch (err) {
+        // Fall through to look for a post that used to have the slug
+      }
+
+      try {
+        const post = await PostService.findOneByPreviousSlug(request.params.slug, {
+          published: !canViewUnpublishedPosts,
+        });
+
+        return h.redirect(`${prefix}/slug/${encodeURIComponent(post.slug)}`).permanent();
+      } catch (err) {
+        return Boom.notFound('Post not Found');
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [200, 301] },
+      },
+      auth: {
+        mode: 'optional',
+      },
+      validate: {
+        params: _schemas.findOneBySlug,
       },
     },
   },
@@ -197,38 +434,314 @@ module.exports = prefix => [
 
         const userId = request.auth.credentials.id;
 
-        const hasEditorPermissions = await AuthenticationService.hasEditorPermissions(userId);
-        if (!hasEditorPermissions) {
-          // Editor permissions required to change author
+        const canManagePosts = await AuthenticationService.hasPermission(request.auth.credentials, 'posts:manage');
+        if (!canManagePosts) {
+          // The posts:manage permission is required to change author
           delete payload.author;
+        }
 
-          // Ensure that the post belongs to the user
-          const post = await PostService.findOneById(request.params.id);
-          if (post.author !== userId) {
-            // Editor permissions required to update another user's post
-            return Boom.notFound('Post not Found');
-          }
+        // Ensure that the post belongs to the user, unless they can manage posts
+        const post = await _findManageablePost(request.auth.credentials, request.params.id);
+
+        // Ensure edits to reviewed posts are made by someone who can publish them
+        const canPublishPosts = await AuthenticationService.hasPermission(request.auth.credentials, 'posts:publish');
+        if (!canPublishPosts && !_authorTransitions[post.status]) {
+          return Boom.forbidden(`Posts that are ${post.status} can only be edited with the posts:publish permission`);
         }
 
-        // TODO: Handle tags
+        // Ensure the user can move the post to the requested status
+        const status = PostService.resolveStatus(payload);
+        if (status && status !== post.status) {
+          const transitions = canPublishPosts ? PostService.transitions : _authorTransitions;
+          if (!(transitions[post.status] || []).includes(status)) {
+            return Boom.forbidden(`Posts cannot be moved from ${post.status} to ${status}`);
+          }
+        }
 
-        await PostService.update(request.params.id, payload);
+        await PostService.update(request.params.id, payload, { editor: userId });
         return h.response().code(204);
       } catch (err) {
+        if (err.message === 'No Record Found' || err.message === 'No Records Updated') {
+          return Boom.notFound('Post not Found');
+        }
         if (err.code === '23505') {
           return Boom.forbidden('Slug provided is in use');
         }
-        return Boom.notFound('Post not Found');
+        if (err.message === 'Invalid Featured Image') {
+          return Boom.badRequest('Featured image not Found');
+        }
+        if (err.message === 'Invalid Category') {
+          return Boom.badRequest('Category not Found');
+        }
+        return Boom.internal();
       }
     },
     options: {
       cors: true,
+      plugins: {
+        documentation: { responses: [204, 403] },
+      },
       validate: {
         params: _schemas.findOneById,
         payload: _schemas.update,
       },
       pre: [
-        { method: MiddlewareService.hasAdminPermissions },
+        { method: MiddlewareService.requirePermission('posts:write') },
+      ],
+    },
+  },
+  // List the revisions of a post
+  {
+    method: 'GET',
+    path: `${prefix}/{id}/revisions`,
+    handler: async (request, h) => {
+      try {
+        await _findManageablePost(request.auth.credentials, request.params.id);
+      } catch (err) {
+        return Boom.notFound('Post not Found');
+      }
+
+      try {
+        const options = PaginationService.getOptions(request.query);
+        const searchResult = await RevisionService.search(request.params.id, options);
+        const response = h.response(searchResult.revisions);
+        return PaginationService.setHeaders(request, response, searchResult, options);
+      } catch (err) {
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      validate: {
+        params: _schemas.findOneById,
+        query: _schemas.searchRevisions,
+      },
+      pre: [
+        { method: MiddlewareService.requirePermission('posts:write') },
+      ],
+    },
+  },
+  // Compare two revisions of a post
+  {
+    method: 'GET',
+    path: `${prefix}/{id}/revisions/diff`,
+    handler: async (request) => {
+      let post;
+      try {
+        post = await _findManageablePost(request.auth.credentials, request.params.id);
+      } catch (err) {
+        return Boom.notFound('Post not Found');
+      }
+
+      try {
+        // Compare against the current revision by default
+        const { from, to = post.revision } = request.query;
+        const diff = await RevisionService.diff(request.params.id, from, to);
+        return diff;
+      } catch (err) {
+        return Boom.notFound('Revision not Found');
+      }
+    },
+    options: {
+      cors: true,
+      validate: {
+        params: _schemas.findOneById,
+        query: _schemas.diffRevisions,
+      },
+      pre: [
+        { method: MiddlewareService.requirePermission('posts:write') },
+      ],
+    },
+  },
+  // Get a single revision of a post
+  {
+    method: 'GET',
+    path: `${prefix}/{id}/revisions/{revision}`,
+    handler: async (request) => {
+      try {
+        await _findManageablePost(request.auth.credentials, request.params.id);
+      } catch (err) {
+        return Boom.notFound('Post not Found');
+      }
+
+      try {
+        const revision = await RevisionService.findOne(request.params.id, request.params.revision);
+        return revision;
+      } catch (err) {
+        return Boom.notFound('Revision not Found');
+      }
+    },
+    options: {
+      cors: true,
+      validate: {
+        params: _schemas.findRevision,
+      },
+      pre: [
+        { method: MiddlewareService.requirePermission('posts:write') },
+      ],
+    },
+  },
+  // Restore a post to a previous revision
+  {
+    method: 'POST',
+    path: `${prefix}/{id}/revisions/{revision}/restore`,
+    handler: async (request, h) => {
+      const userId = request.auth.credentials.id;
+      let post;
+      try {
+        post = await _findManageablePost(request.auth.credentials, request.params.id);
+      } catch (err) {
+        return Boom.notFound('Post not Found');
+      }
+
+      // Ensure edits to reviewed posts are made by someone who can publish them
+      const canPublishPosts = await AuthenticationService.hasPermission(request.auth.credentials, 'posts:publish');
+      if (!canPublishPosts && !_authorTransitions[post.status]) {
+        return Boom.forbidden(`Posts that are ${post.status} can only be edited with the posts:publish permission`);
+      }
+
+      try {
+        await PostService.restoreRevision(request.params.id, request.params.revision, {
+          editor: userId,
+        });
+        return h.response().code(204);
+      } catch (err) {
+        return Boom.notFound('Revision not Found');
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [204, 403] },
+      },
+      validate: {
+        params: _schemas.findRevision,
+      },
+      pre: [
+        { method: MiddlewareService.requirePermission('posts:write') },
+      ],
+    },
+  },
+  // Get the comment threads on a post
+  {
+    method: 'GET',
+    path: `${prefix}/{id}/comments`,
+    handler: async (request, h) => {
+      let viewer = null;
+      let moderator = false;
+      try {
+        let canViewUnpublishedPosts = false;
+        if (request.auth && request.auth.credentials && request.auth.credentials.id) {
+          viewer = request.auth.credentials.id;
+          canViewUnpublishedPosts = await AuthenticationService.hasPermission(
+            request.auth.credentials,
+            'posts:preview',
+          );
+          moderator = await AuthenticationService.hasPermission(
+            request.auth.credentials,
+            'comments:moderate',
+          );
+        }
+
+        await PostService.findOneById(request.params.id, {
+          published: !canViewUnpublishedPosts,
+        });
+      } catch (err) {
+        return Boom.notFound('Post not Found');
+      }
+
+      try {
+        const result = await CommentService.findThreads(request.params.id, { viewer, moderator });
+        return h.response(result.comments).header('X-Total-Count', result.count);
+      } catch (err) {
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { headers: ['X-Total-Count'] },
+      },
+      auth: {
+        mode: 'optional',
+      },
+      validate: {
+        params: _schemas.findOneById,
+      },
+    },
+  },
+  // Comment on a post, or reply to one of its comments
+  {
+    method: 'POST',
+    path: `${prefix}/{id}/comments`,
+    handler: async (request, h) => {
+      const userId = request.auth.credentials.id;
+      try {
+        // Comments can only be left on posts the user can view
+        const canViewUnpublishedPosts = await AuthenticationService.hasPermission(
+          request.auth.credentials,
+          'posts:preview',
+        );
+        await PostService.findOneById(request.params.id, {
+          published: !canViewUnpublishedPosts,
+        });
+      } catch (err) {
+        return Boom.notFound('Post not Found');
+      }
+
+      try {
+        const moderator = await AuthenticationService.hasPermission(request.auth.credentials, 'comments:moderate');
+        const comment = await CommentService.create({
+          ...request.payload,
+          post: request.params.id,
+          author: userId,
+          status: CommentService.initialStatus(moderator),
+        });
+        return h.response(comment).code(201);
+      } catch (err) {
+        if (err.message === 'Invalid Parent') {
+          return Boom.badRequest('Parent comment not Found');
+        }
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [201, 403] },
+      },
+      validate: {
+        params: _schemas.findOneById,
+        payload: _schemas.createComment,
+      },
+      pre: [
+        { method: MiddlewareService.requirePermission('comments:write') },
+        { method: MiddlewareService.requireVerifiedEmail('comments') },
+      ],
+    },
+  },
+  // Restore a deleted post
+  {
+    method: 'POST',
+    path: `${prefix}/{id}/restore`,
+    handler: async (request, h) => {
+      try {
+        await PostService.restore(request.params.id);
+        return h.response().code(204);
+      } catch (err) {
+        return Boom.notFound('Post not Found');
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [204] },
+      },
+      validate: {
+        params: _schemas.findOneById,
+      },
+      pre: [
+        { method: MiddlewareService.requirePermission('posts:delete') },
       ],
     },
   },
@@ -237,9 +750,12 @@ module.exports = prefix => [
     method: 'DELETE',
     path: `${prefix}/{id}`,
     handler: async (request, h) => {
-      // TODO: Support hard delete
       try {
-        await PostService.softDelete(request.params.id);
+        if (request.query.hard) {
+          await PostService.hardDelete(request.params.id);
+        } else {
+          await PostService.softDelete(request.params.id);
+        }
         return h.response().code(204);
       } catch (err) {
         return Boom.notFound('Post not Found');
@@ -247,11 +763,15 @@ module.exports = prefix => [
     },
     options: {
       cors: true,
+      plugins: {
+        documentation: { responses: [204] },
+      },
       validate: {
         params: _schemas.findOneById,
+        query: _schemas.delete,
       },
       pre: [
-        { method: MiddlewareService.hasAdminPermissions },
+        { method: MiddlewareService.requirePermission('posts:delete') },
       ],
     },
   },
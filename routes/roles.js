@@ -0,0 +1,155 @@
+/**
+ * Handles role API actions
+ */
+
+const Joi = require('joi');
+const Boom = require('boom');
+
+const RoleService = require.main.require('./services/role');
+const UserService = require.main.require('./services/user');
+const MiddlewareService = require.main.require('./services/middleware');
+
+/**
+ * @object
+ * Route Validation Schemas
+ */
+const _schemas = {
+  findOneById: {
+    id: Joi.number().integer().min(1).required(),
+  },
+  create: Joi.object().keys({
+    name: Joi.string().trim().min(1).required(),
+    permissions: Joi.array().items(Joi.string().valid(Object.keys(RoleService.permissions))),
+  }),
+  update: Joi.object().keys({
+    name: Joi.string().trim().min(1),
+    permissions: Joi.array().items(Joi.string().valid(Object.keys(RoleService.permissions))),
+  }).or('name', 'permissions'),
+};
+
+module.exports = prefix => [
+  // Get every role, with the permissions granted to it
+  {
+    method: 'GET',
+    path: `${prefix}`,
+    handler: async () => {
+      try {
+        const roles = await RoleService.search();
+        return roles;
+      } catch (err) {
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      pre: [
+        { method: MiddlewareService.requirePermission('roles:manage') },
+      ],
+    },
+  },
+  // Get every permission that can be granted to roles
+  {
+    method: 'GET',
+    path: `${prefix}/permissions`,
+    handler: () => Object.keys(RoleService.permissions).map(name => ({
+      name,
+      description: RoleService.permissions[name],
+    })),
+    options: {
+      cors: true,
+      pre: [
+        { method: MiddlewareService.requirePermission('roles:manage') },
+      ],
+    },
+  },
+  // Create new role
+  {
+    method: 'POST',
+    path: `${prefix}`,
+    handler: async (request) => {
+      try {
+        const role = await RoleService.create(request.payload);
+        return role;
+      } catch (err) {
+        if (err.code === '23505') {
+          return Boom.forbidden('Name provided is in use');
+        }
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [200, 403] },
+      },
+      validate: {
+        payload: _schemas.create,
+      },
+      pre: [
+        { method: MiddlewareService.requirePermission('roles:manage') },
+      ],
+    },
+  },
+  // Get a single role by id
+  {
+    method: 'GET',
+    path: `${prefix}/{id}`,
+    handler: async (request) => {
+      try {
+        const role = await RoleService.findOneById(request.params.id);
+        return role;
+      } catch (err) {
+        return Boom.notFound('Role not Found');
+      }
+    },
+    options: {
+      cors: true,
+      validate: {
+        params: _schemas.findOneById,
+      },
+      pre: [
+        { method: MiddlewareService.requirePermission('roles:manage') },
+      ],
+    },
+  },
+  // Update a single role by id
+  {
+    method: 'PATCH',
+    path: `${prefix}/{id}`,
+    handler: async (request, h) => {
+      try {
+        const { payload } = request;
+
+        // Users cannot remove their own ability to manage roles
+        const user = await UserService.findOneById(request.auth.credentials.id);
+        const role = await RoleService.findOneById(request.params.id);
+        const removesRoleManagement = payload.permissions
+          && !payload.permissions.includes('roles:manage');
+        if (role.name === user.role && removesRoleManagement) {
+          return Boom.forbidden('The roles:manage permission cannot be removed from your own role');
+        }
+
+        await RoleService.update(request.params.id, payload);
+        return h.response().code(204);
+      } catch (err) {
+        if (err.code === '23505') {
+          return Boom.forbidden('Name provided is in use');
+        }
+        return Boom.notFound('Role not Found');
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [204, 403] },
+      },
+      validate: {
+        params: _schemas.findOneById,
+        payload: _schemas.update,
+      },
+      pre: [
+        { method: MiddlewareService.requirePermission('roles:manage') },
+      ],
+    },
+  },
+];
@@ -6,6 +6,9 @@ const Joi = require('joi');
 const Boom = require('boom');
 
 const UserService = require.main.require('./services/user');
+const RoleService = require.main.require('./services/role');
+const SessionService = require.main.require('./services/session');
+const TwoFactorService = require.main.require('./services/twoFactor');
 
 /**
  * @object
@@ -22,6 +25,29 @@ const _schemas = {
     email: Joi.string().email().required(),
     password: Joi.string().min(1).required(),
   }),
+  loginWithCode: Joi.object().keys({
+    challenge: Joi.string().min(1).required(),
+    code: Joi.string().min(1).max(32).required(),
+  }),
+  twoFactorCode: Joi.object().keys({
+    code: Joi.string().min(1).max(32).required(),
+  }),
+  refresh: Joi.object().keys({
+    refreshToken: Joi.string().min(1).required(),
+  }),
+  forgotPassword: Joi.object().keys({
+    email: Joi.string().email().required(),
+  }),
+  verifyEmail: Joi.object().keys({
+    token: Joi.string().min(1).required(),
+  }),
+  resendVerification: Joi.object().keys({
+    email: Joi.string().email().required(),
+  }),
+  resetPassword: Joi.object().keys({
+    token: Joi.string().min(1).required(),
+    password: Joi.string().min(1).required(),
+  }),
   changePassword: Joi.object().keys({
     password: Joi.string().min(1).required(),
     newPassword: Joi.string().min(1).required(),
@@ -32,6 +58,27 @@ const _schemas = {
   }),
 };
 
+/**
+ * Describes the device making a request, to label its session
+ * @param {Object} request Request object
+ * @returns {Object} Device's `userAgent` and `ip`
+ */
+const _device = request => ({
+  userAgent: request.headers['user-agent'] || null,
+  ip: request.info.remoteAddress,
+});
+
+/**
+ * Builds the response for a login attempt made while locked out
+ * @param {Error} err Error thrown for the attempt, with `retryAfter` seconds
+ * @returns {Boom} Too many requests error, with a Retry-After header
+ */
+const _tooManyAttempts = (err) => {
+  const error = Boom.tooManyRequests('Too Many Login Attempts');
+  error.output.headers['Retry-After'] = String(err.retryAfter);
+  return error;
+};
+
 module.exports = prefix => [
   {
     method: 'GET',
@@ -46,10 +93,15 @@ module.exports = prefix => [
   {
     method: 'POST',
     path: `${prefix}/register`,
-    handler: async (request) => {
+    handler: async (request, h) => {
       try {
-        const token = await UserService.register(request.payload);
-        return { token };
+        const tokens = await UserService.register(request.payload, _device(request));
+
+        // Users that must verify their email are not logged in
+        if (!tokens) {
+          return h.response().code(204);
+        }
+        return tokens;
       } catch (err) {
         if (err.code === '23505') {
           return Boom.forbidden('Email provided is in use');
@@ -59,6 +111,9 @@ module.exports = prefix => [
     },
     options: {
       cors: true,
+      plugins: {
+        documentation: { responses: [200, 204, 403] },
+      },
       auth: false,
       validate: {
         payload: _schemas.register,
@@ -71,23 +126,134 @@ module.exports = prefix => [
     path: `${prefix}/login`,
     handler: async (request) => {
       try {
-        const token = await UserService.login(request.payload);
-        return { token };
+        const tokens = await UserService.login(request.payload, _device(request));
+        return tokens;
       } catch (err) {
         if (err.message === 'Invalid Credentials') {
           return Boom.unauthorized('Invalid Credentials');
         }
+        if (err.message === 'Email Not Verified') {
+          return Boom.forbidden('Email Not Verified');
+        }
+        if (err.message === 'Too Many Attempts') {
+          return _tooManyAttempts(err);
+        }
         return Boom.internal();
       }
     },
     options: {
       cors: true,
+      plugins: {
+        documentation: { responses: [200, 401, 403, 429] },
+      },
       auth: false,
       validate: {
         payload: _schemas.login,
       },
     },
   },
+  // Complete a login with a two factor code
+  {
+    method: 'POST',
+    path: `${prefix}/login/2fa`,
+    handler: async (request) => {
+      try {
+        const tokens = await UserService.loginWithCode(request.payload, _device(request));
+        return tokens;
+      } catch (err) {
+        if (err.message === 'Invalid Token') {
+          return Boom.unauthorized('Invalid or Expired Challenge');
+        }
+        if (err.message === 'Invalid Code') {
+          return Boom.unauthorized('Invalid Code');
+        }
+        if (err.message === 'Too Many Attempts') {
+          return _tooManyAttempts(err);
+        }
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [200, 401, 429] },
+      },
+      auth: false,
+      validate: {
+        payload: _schemas.loginWithCode,
+      },
+    },
+  },
+  // Exchange a refresh token for a new access token
+  {
+    method: 'POST',
+    path: `${prefix}/token/refresh`,
+    handler: async (request) => {
+      try {
+        const tokens = await SessionService.refresh(request.payload.refreshToken);
+        return tokens;
+      } catch (err) {
+        if (err.message === 'Invalid Refresh Token') {
+          return Boom.unauthorized('Invalid Refresh Token');
+        }
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [200, 401] },
+      },
+      auth: false,
+      validate: {
+        payload: _schemas.refresh,
+      },
+    },
+  },
+  // End the current session
+  {
+    method: 'POST',
+    path: `${prefix}/logout`,
+    handler: async (request, h) => {
+      const { id, session } = request.auth.credentials;
+      try {
+        if (session) {
+          await SessionService.revoke(session, { owner: id });
+        }
+      } catch (err) {
+        // Session has already ended
+      }
+
+      return h.response().code(204);
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [204] },
+      },
+      auth: 'jwt',
+    },
+  },
+  // End every session of the current user
+  {
+    method: 'POST',
+    path: `${prefix}/logout_all`,
+    handler: async (request, h) => {
+      try {
+        await UserService.revokeTokens(request.auth.credentials.id);
+        return h.response().code(204);
+      } catch (err) {
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [204] },
+      },
+      auth: 'jwt',
+    },
+  },
   // Lookup the current user
   {
     method: 'GET',
@@ -95,7 +261,13 @@ module.exports = prefix => [
     handler: async (request) => {
       try {
         const user = await UserService.findOneById(request.auth.credentials.id);
-        return user;
+        const permissions = await RoleService.getPermissions(request.auth.credentials.id);
+        return {
+          ...user,
+          twoFactorEnabled: await TwoFactorService.isEnabled(request.auth.credentials.id),
+          twoFactorRequired: TwoFactorService.isRequired(user.role),
+          permissions,
+        };
       } catch (err) {
         // If token is valid, user should exist
         return Boom.internal();
@@ -103,6 +275,123 @@ module.exports = prefix => [
     },
     options: {
       cors: true,
+      auth: 'jwt',
+    },
+  },
+  // Start setting up two factor authentication for the current user
+  {
+    method: 'POST',
+    path: `${prefix}/2fa/setup`,
+    handler: async (request) => {
+      try {
+        const setup = await TwoFactorService.setup(request.auth.credentials.id);
+        return setup;
+      } catch (err) {
+        if (err.message === 'Two Factor Already Enabled') {
+          return Boom.forbidden('Two Factor Authentication is already enabled');
+        }
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [200, 403] },
+      },
+      auth: 'jwt',
+    },
+  },
+  // Enable two factor authentication for the current user
+  {
+    method: 'POST',
+    path: `${prefix}/2fa/enable`,
+    handler: async (request) => {
+      try {
+        const recoveryCodes = await TwoFactorService.enable(
+          request.auth.credentials.id,
+          request.payload.code,
+        );
+        return { recoveryCodes };
+      } catch (err) {
+        if (err.message === 'Two Factor Already Enabled') {
+          return Boom.forbidden('Two Factor Authentication is already enabled');
+        }
+        if (err.message === 'Two Factor Not Set Up') {
+          return Boom.badRequest('Two Factor Authentication has not been set up');
+        }
+        if (err.message === 'Invalid Code') {
+          return Boom.badRequest('Invalid Code');
+        }
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [200, 403] },
+      },
+      auth: 'jwt',
+      validate: {
+        payload: _schemas.twoFactorCode,
+      },
+    },
+  },
+  // Replace the current user's recovery codes
+  {
+    method: 'POST',
+    path: `${prefix}/2fa/recovery_codes`,
+    handler: async (request) => {
+      try {
+        const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(
+          request.auth.credentials.id,
+          request.payload.code,
+        );
+        return { recoveryCodes };
+      } catch (err) {
+        if (err.message === 'Two Factor Not Enabled') {
+          return Boom.badRequest('Two Factor Authentication is not enabled');
+        }
+        if (err.message === 'Invalid Code') {
+          return Boom.badRequest('Invalid Code');
+        }
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      auth: 'jwt',
+      validate: {
+        payload: _schemas.twoFactorCode,
+      },
+    },
+  },
+  // Disable two factor authentication for the current user
+  {
+    method: 'POST',
+    path: `${prefix}/2fa/disable`,
+    handler: async (request, h) => {
+      try {
+        await TwoFactorService.disable(request.auth.credentials.id, request.payload.code);
+        return h.response().code(204);
+      } catch (err) {
+        if (err.message === 'Two Factor Not Enabled') {
+          return Boom.badRequest('Two Factor Authentication is not enabled');
+        }
+        if (err.message === 'Invalid Code') {
+          return Boom.badRequest('Invalid Code');
+        }
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [204] },
+      },
+      auth: 'jwt',
+      validate: {
+        payload: _schemas.twoFactorCode,
+      },
     },
   },
   // Change the current user's password
@@ -123,11 +412,116 @@ module.exports = prefix => [
     },
     options: {
       cors: true,
+      plugins: {
+        documentation: { responses: [204] },
+      },
+      auth: 'jwt',
       validate: {
         payload: _schemas.changePassword,
       },
     },
   },
+  // Verify an email using an emailed token
+  {
+    method: 'POST',
+    path: `${prefix}/verify_email`,
+    handler: async (request, h) => {
+      try {
+        await UserService.verifyEmail(request.payload.token);
+        return h.response().code(204);
+      } catch (err) {
+        if (err.message === 'Invalid Token') {
+          return Boom.badRequest('Invalid or Expired Token');
+        }
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [204] },
+      },
+      auth: false,
+      validate: {
+        payload: _schemas.verifyEmail,
+      },
+    },
+  },
+  // Email another verification link
+  {
+    method: 'POST',
+    path: `${prefix}/resend_verification`,
+    handler: async (request, h) => {
+      try {
+        // Respond the same way whether or not the email needs verifying
+        await UserService.sendVerification(request.payload.email);
+        return h.response().code(204);
+      } catch (err) {
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [204] },
+      },
+      auth: false,
+      validate: {
+        payload: _schemas.resendVerification,
+      },
+    },
+  },
+  // Email a password reset link
+  {
+    method: 'POST',
+    path: `${prefix}/forgot_password`,
+    handler: async (request, h) => {
+      try {
+        // Respond the same way whether or not the email is in use
+        await UserService.requestPasswordReset(request.payload.email);
+        return h.response().code(204);
+      } catch (err) {
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [204] },
+      },
+      auth: false,
+      validate: {
+        payload: _schemas.forgotPassword,
+      },
+    },
+  },
+  // Reset a password using an emailed token
+  {
+    method: 'POST',
+    path: `${prefix}/reset_password`,
+    handler: async (request, h) => {
+      try {
+        const { token, password } = request.payload;
+        await UserService.resetPassword(token, password);
+        return h.response().code(204);
+      } catch (err) {
+        if (err.message === 'Invalid Token') {
+          return Boom.badRequest('Invalid or Expired Token');
+        }
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [204] },
+      },
+      auth: false,
+      validate: {
+        payload: _schemas.resetPassword,
+      },
+    },
+  },
   // Change the current user's email
   {
     method: 'POST',
@@ -149,6 +543,10 @@ module.exports = prefix => [
     },
     options: {
       cors: true,
+      plugins: {
+        documentation: { responses: [204, 403] },
+      },
+      auth: 'jwt',
       validate: {
         payload: _schemas.changeEmail,
       },
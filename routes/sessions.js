@@ -0,0 +1,64 @@
+/**
+ * Handles session API actions
+ */
+
+const Joi = require('joi');
+const Boom = require('boom');
+
+const SessionService = require.main.require('./services/session');
+
+/**
+ * @object
+ * Route Validation Schemas
+ */
+const _schemas = {
+  findOneById: {
+    id: Joi.number().integer().min(1).required(),
+  },
+};
+
+module.exports = prefix => [
+  // Get the current user's active sessions
+  {
+    method: 'GET',
+    path: `${prefix}`,
+    handler: async (request) => {
+      try {
+        const { id, session } = request.auth.credentials;
+        const sessions = await SessionService.search(id);
+
+        // Point out the session making the request
+        return sessions.map(found => ({ ...found, current: found.id === session }));
+      } catch (err) {
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      auth: 'jwt',
+    },
+  },
+  // End one of the current user's sessions by id
+  {
+    method: 'DELETE',
+    path: `${prefix}/{id}`,
+    handler: async (request, h) => {
+      try {
+        await SessionService.revoke(request.params.id, { owner: request.auth.credentials.id });
+        return h.response().code(204);
+      } catch (err) {
+        return Boom.notFound('Session not Found');
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [204] },
+      },
+      auth: 'jwt',
+      validate: {
+        params: _schemas.findOneById,
+      },
+    },
+  },
+];
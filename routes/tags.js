@@ -0,0 +1,74 @@
+/**
+ * Handles tag API actions
+ */
+
+const Joi = require('joi');
+const Boom = require('boom');
+
+const TagService = require.main.require('./services/tag');
+const AuthenticationService = require.main.require('./services/authentication');
+const PaginationService = require.main.require('./services/pagination');
+
+/**
+ * @object
+ * Route Validation Schemas
+ */
+const _schemas = {
+  search: Joi.object().keys({
+    searchText: Joi.string().min(1),
+    ...PaginationService.schema,
+    // Tags are grouped, so they can only be paged by offset
+    cursor: Joi.forbidden(),
+    order_by: Joi.string().valid([
+      'name',
+      'count',
+      '-name',
+      '-count',
+    ]).default('name'),
+    published: Joi.boolean().default(true),
+  }),
+};
+
+module.exports = prefix => [
+  // Search for tags, including how many posts use each tag
+  {
+    method: 'GET',
+    path: `${prefix}`,
+    handler: async (request, h) => {
+      try {
+        let canViewUnpublishedPosts = false;
+        if (request.auth && request.auth.credentials && request.auth.credentials.id) {
+          canViewUnpublishedPosts = await AuthenticationService.hasPermission(
+            request.auth.credentials,
+            'posts:preview',
+          );
+        }
+
+        const options = {
+          ...PaginationService.getOptions(request.query),
+          orderBy: request.query.order_by,
+        };
+
+        const searchResult = await TagService.search({
+          searchText: request.query.searchText,
+          // Count every post, published or not, when allowed to
+          published: canViewUnpublishedPosts && !request.query.published ? null : true,
+        }, options);
+
+        const response = h.response(searchResult.tags);
+        return PaginationService.setHeaders(request, response, searchResult, options);
+      } catch (err) {
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      auth: {
+        mode: 'optional',
+      },
+      validate: {
+        query: _schemas.search,
+      },
+    },
+  },
+];
@@ -4,10 +4,11 @@
 
 const Joi = require('joi');
 const Boom = require('boom');
-const _ = require('lodash');
 
 const UserService = require.main.require('./services/user');
 const MiddlewareService = require.main.require('./services/middleware');
+const PaginationService = require.main.require('./services/pagination');
+const QueryService = require.main.require('./services/query');
 const AuthenticationService = require.main.require('./services/authentication');
 
 /**
@@ -20,22 +21,19 @@ const _schemas = {
   },
   search: Joi.object().keys({
     searchText: Joi.string().min(1),
-    limit: Joi.number().integer().min(0),
-    skip: Joi.number().integer().min(0),
-    page: Joi.number().integer().min(1),
-    per_page: Joi.number().integer().min(1),
-    order_by: Joi.string().valid([
+    ...PaginationService.schema,
+    order_by: QueryService.sortSchema([
       'id',
       'firstName',
       'lastName',
       'email',
       'role',
-      '-id',
-      '-firstName',
-      '-lastName',
-      '-email',
-      '-role',
     ]).default('id'),
+    fields: QueryService.fieldsSchema(UserService.fields),
+    trashed: Joi.boolean().default(false),
+  }),
+  delete: Joi.object().keys({
+    hard: Joi.boolean().default(false),
   }),
   create: Joi.object().keys({
     email: Joi.string().email().required(),
@@ -60,25 +58,36 @@ module.exports = prefix => [
     path: `${prefix}`,
     handler: async (request, h) => {
       try {
-        // Set the limit and skip to values provided
-        // Default to all entries skipping 0
+        if (request.query.trashed) {
+          const canViewTrash = request.auth.credentials
+            && await AuthenticationService.hasPermission(request.auth.credentials, 'users:manage');
+          if (!canViewTrash) {
+            return Boom.unauthorized('The users:manage permission is required to access this content.');
+          }
+        }
+
         const options = {
-          limit: _.isNumber(request.query.limit) ? request.query.limit : null,
-          offset: _.isNumber(request.query.skip) ? request.query.skip : 0,
+          ...PaginationService.getOptions(request.query),
           orderBy: request.query.order_by,
+          trashed: request.query.trashed,
+          fields: request.query.fields,
         };
 
         const searchResult = await UserService.search(request.query.searchText, options);
         const response = h.response(searchResult.users);
-        response.header('X-Total-Count', searchResult.count);
-        return response;
+        return PaginationService.setHeaders(request, response, searchResult, options);
       } catch (err) {
+        if (err.message === 'Invalid Cursor') {
+          return Boom.badRequest('Invalid Cursor');
+        }
         return Boom.internal();
       }
     },
     options: {
       cors: true,
-      auth: false,
+      auth: {
+        mode: 'optional',
+      },
       validate: {
         query: _schemas.search,
       },
@@ -101,11 +110,14 @@ module.exports = prefix => [
     },
     options: {
       cors: true,
+      plugins: {
+        documentation: { responses: [200, 403] },
+      },
       validate: {
         payload: _schemas.create,
       },
       pre: [
-        { method: MiddlewareService.hasAdminPermissions },
+        { method: MiddlewareService.requirePermission('users:manage') },
       ],
     },
   },
@@ -137,13 +149,13 @@ module.exports = prefix => [
       try {
         const { payload } = request;
         const userId = request.auth.credentials.id;
-        const hasAdminPermissions = await AuthenticationService.hasAdminPermissions(userId);
-        if (!hasAdminPermissions && request.params.id !== userId) {
-          // Non admins can only update their own user
+        const canManageUsers = await AuthenticationService.hasPermission(request.auth.credentials, 'users:manage');
+        if (!canManageUsers && request.params.id !== userId) {
+          // Users can only update their own user, unless they can manage users
           return Boom.forbidden('Only admins can update users other than themselves');
         }
 
-        if (!hasAdminPermissions) {
+        if (!canManageUsers) {
           // Non admins cannot update roles, emails, or passwords through this endpoint
           delete payload.role;
           delete payload.email;
@@ -161,32 +173,98 @@ module.exports = prefix => [
     },
     options: {
       cors: true,
+      plugins: {
+        documentation: { responses: [204, 403] },
+      },
       validate: {
         params: _schemas.findOneById,
         payload: _schemas.update,
       },
     },
   },
+  // Unlock a user locked out by failed login attempts
+  {
+    method: 'POST',
+    path: `${prefix}/{id}/unlock`,
+    handler: async (request, h) => {
+      try {
+        await UserService.unlock(request.params.id);
+        return h.response().code(204);
+      } catch (err) {
+        if (err.message === 'No Record Found') {
+          return Boom.notFound('User not Found');
+        }
+        return Boom.internal();
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [204] },
+      },
+      validate: {
+        params: _schemas.findOneById,
+      },
+      pre: [
+        { method: MiddlewareService.requirePermission('users:manage') },
+      ],
+    },
+  },
+  // Restore a deleted user
+  {
+    method: 'POST',
+    path: `${prefix}/{id}/restore`,
+    handler: async (request, h) => {
+      try {
+        await UserService.restore(request.params.id);
+        return h.response().code(204);
+      } catch (err) {
+        return Boom.notFound('User not Found');
+      }
+    },
+    options: {
+      cors: true,
+      plugins: {
+        documentation: { responses: [204] },
+      },
+      validate: {
+        params: _schemas.findOneById,
+      },
+      pre: [
+        { method: MiddlewareService.requirePermission('users:manage') },
+      ],
+    },
+  },
   // Delete a single user by id
   {
     method: 'DELETE',
     path: `${prefix}/{id}`,
     handler: async (request, h) => {
-      // TODO: Support hard delete
       try {
-        await UserService.softDelete(request.params.id);
+        if (request.query.hard) {
+          await UserService.hardDelete(request.params.id);
+        } else {
+          await UserService.softDelete(request.params.id);
+        }
         return h.response().code(204);
       } catch (err) {
+        if (err.message === 'Record In Use') {
+          return Boom.conflict('User is in use');
+        }
         return Boom.notFound('User not Found');
       }
     },
     options: {
       cors: true,
+      plugins: {
+        documentation: { responses: [204, 409] },
+      },
       validate: {
         params: _schemas.findOneById,
+        query: _schemas.delete,
       },
       pre: [
-        { method: MiddlewareService.hasAdminPermissions },
+        { method: MiddlewareService.requirePermission('users:manage') },
       ],
     },
   },
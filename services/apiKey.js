@@ -0,0 +1,148 @@
+/**
+ * API Key Service
+ *
+ * Manages API keys, which let machine clients act on behalf of a user with limited permissions
+ */
+
+const crypto = require('crypto');
+
+const database = require.main.require('./services/database');
+const AuthenticationService = require.main.require('./services/authentication');
+
+/**
+ * @string
+ * Columns selected when fetching API keys
+ */
+const _apiKeyColumns = `
+    id,
+    owner,
+    name,
+    prefix,
+    scopes,
+    "createdAt",
+    "lastUsedAt",
+    "expiresAt"
+`;
+
+/**
+ * Prepares the table for use
+ * @returns {void}
+ */
+exports.init = async () => {
+  await database.query(`CREATE TABLE IF NOT EXISTS api_keys (
+    id SERIAL PRIMARY KEY,
+    owner INTEGER REFERENCES users(id) NOT NULL,
+    name TEXT NOT NULL,
+    prefix TEXT NOT NULL,
+    "keyHash" TEXT NOT NULL UNIQUE,
+    scopes TEXT[] NOT NULL DEFAULT '{}',
+    "createdAt" TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    "lastUsedAt" TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    "expiresAt" TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    "revokedAt" TIMESTAMP WITH TIME ZONE DEFAULT NULL
+  )`);
+
+  // Create index for listing a user's API keys
+  await database.query('CREATE INDEX IF NOT EXISTS index_api_keys_owner ON api_keys (owner)');
+};
+
+/**
+ * Creates an API key for a user
+ * The key is only returned here, as only its hash is stored
+ * @param {Object} params New API key parameters
+ * @param {Number} params.owner Id of the user the key acts as
+ * @param {String} params.name Name describing what the key is used for
+ * @param {String[]} params.scopes Permissions the key can use, limited to those of its owner
+ * @param {Date} params.expiresAt (optional) When the key stops working, defaults to never
+ * @returns {ApiKey} Created API key, including the `key`
+ */
+exports.create = async ({
+  owner,
+  name,
+  scopes,
+  expiresAt = null,
+}) => {
+  if (!owner || !name || !scopes) {
+    throw new Error('Invalid Create Payload Provided');
+  }
+
+  // The prefix identifies the key when listing keys, without revealing it
+  const prefix = `mk_${crypto.randomBytes(4).toString('hex')}`;
+  const key = `${prefix}_${AuthenticationService.createRandomToken()}`;
+
+  const result = await database.query(
+    `INSERT INTO api_keys(owner, name, prefix, "keyHash", scopes, "expiresAt")
+    VALUES($1, $2, $3, $4, $5, $6)
+    RETURNING ${_apiKeyColumns}`,
+    [owner, name, prefix, AuthenticationService.hashToken(key), scopes, expiresAt],
+  );
+
+  if (result.rowCount === 0) {
+    throw new Error('No Records Updated');
+  }
+
+  return { ...result.rows[0], key };
+};
+
+/**
+ * Fetches a user's active API keys
+ * @param {Number} owner Id of the user
+ * @returns {ApiKey[]} Found API keys
+ */
+exports.search = async (owner) => {
+  const results = await database.query(
+    `SELECT ${_apiKeyColumns} FROM api_keys
+    WHERE owner = $1 AND "revokedAt" IS NULL AND ("expiresAt" IS NULL OR "expiresAt" > CURRENT_TIMESTAMP)
+    ORDER BY id`,
+    [owner],
+  );
+
+  return results.rows;
+};
+
+/**
+ * Finds the active API key matching a key, recording that it was used
+ * @param {String} key API key
+ * @returns {ApiKey} Found API key
+ */
+exports.authenticate = async (key) => {
+  const result = await database.query(
+    `UPDATE api_keys SET "lastUsedAt" = CURRENT_TIMESTAMP
+    FROM users
+    WHERE api_keys."keyHash" = $1 AND api_keys."revokedAt" IS NULL
+      AND (api_keys."expiresAt" IS NULL OR api_keys."expiresAt" > CURRENT_TIMESTAMP)
+      AND users.id = api_keys.owner AND users."deletedAt" IS NULL
+    RETURNING api_keys.id, api_keys.owner, api_keys.scopes`,
+    [AuthenticationService.hashToken(key)],
+  );
+  const apiKey = result.rows[0];
+
+  if (!apiKey) {
+    throw new Error('No Record Found');
+  }
+  return apiKey;
+};
+
+/**
+ * Revokes an API key, so it can no longer be used
+ * @param {Number} id API key's id
+ * @param {Object} options (optional) Revoke options
+ * @param {Number} options.owner (optional) Id of the user the key must belong to
+ * @returns {Boolean} Revoke successful
+ */
+exports.revoke = async (id, { owner } = {}) => {
+  const values = [id];
+  let query = 'UPDATE api_keys SET "revokedAt" = CURRENT_TIMESTAMP WHERE id = $1 AND "revokedAt" IS NULL';
+
+  if (owner) {
+    values.push(owner);
+    query += ` AND owner = $${values.length}`;
+  }
+
+  const result = await database.query(query, values);
+  if (result.rowCount === 0) {
+    throw new Error('No Records Updated');
+  }
+
+  return true;
+};
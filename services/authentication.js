@@ -1,13 +1,17 @@
 /**
  * Authentication Service
  *
- * Handles generating passwords, verifying credentials, and generating tokens
+ * Handles generating passwords, verifying credentials, and generating tokens and API keys
  */
 
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
+const Boom = require('boom');
 
 const UserService = require.main.require('./services/user');
+const RoleService = require.main.require('./services/role');
+const ApiKeyService = require.main.require('./services/apiKey');
 const config = require.main.require('./config');
 
 /**
@@ -42,16 +46,30 @@ exports.createToken = payload => new Promise((resolve, reject) => {
   });
 });
 
+/**
+ * Creates a random token, such as a session's refresh token
+ * @returns {String} Random token
+ */
+exports.createRandomToken = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Hashes a random token for storage
+ * Random tokens are long enough that a fast hash is safe, and it allows tokens to be looked up
+ * @param {String} token Token to hash
+ * @returns {String} Token hash
+ */
+exports.hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
 /**
  * Validates a signed JWT
- * Auth token can technically be valid, but be blacklisted by the system
+ * Auth token can technically be valid, but be blacklisted by the system, or its session ended
  * @param {Object} decoded The decoded payload
  * @returns {Object} Objecting containing an `isValid` flag, indicating whether the token is good
  */
 exports.validateToken = async (decoded) => {
   const createTime = new Date(decoded.iat * 1000);
   try {
-    await UserService.verifyToken({ id: decoded.id, createTime });
+    await UserService.verifyToken({ id: decoded.id, createTime, session: decoded.session });
     return { isValid: true };
   } catch (err) {
     return { isValid: false };
@@ -59,31 +77,39 @@ exports.validateToken = async (decoded) => {
 };
 
 /**
- * Determines if a user has admin permissions
- * @param {Number} id Id of user to look up
- * @returns {Boolean} If the user has admin permissions
+ * Authentication scheme for API keys, sent in the X-API-Key header
+ * Requests without the header are left for other strategies to authenticate
+ * @returns {Object} Hapi authentication scheme
  */
-exports.hasAdminPermissions = async (id) => {
-  const user = await UserService.findOneById(id);
-  return user.role === 'Admin';
-};
+exports.apiKeyScheme = () => ({
+  authenticate: async (request, h) => {
+    const key = request.headers['x-api-key'];
+    if (!key) {
+      return h.unauthenticated(Boom.unauthorized(null, 'ApiKey'));
+    }
 
-/**
- * Determines if a user has editor permissions
- * @param {Number} id Id of user to look up
- * @returns {Boolean} If the user has editor permissions
- */
-exports.hasEditorPermissions = async (id) => {
-  const user = await UserService.findOneById(id);
-  return user.role === 'Editor' || user.role === 'Admin';
-};
+    try {
+      const apiKey = await ApiKeyService.authenticate(key);
+      return h.authenticated({
+        credentials: { id: apiKey.owner, apiKey: apiKey.id, scopes: apiKey.scopes },
+      });
+    } catch (err) {
+      return h.unauthenticated(Boom.unauthorized('Invalid API Key', 'ApiKey'));
+    }
+  },
+});
 
 /**
- * Determines if a user has author permissions
- * @param {Number} id Id of user to look up
- * @returns {Boolean} If the user has author permissions
+ * Determines if a user has been granted a permission through their role
+ * Requests made with an API key are also limited to the key's scopes
+ * @param {Object} credentials Credentials of the request, with the user's `id`
+ * @param {String} permission Name of the permission, such as `posts:publish`
+ * @returns {Boolean} If the user has the permission
  */
-exports.hasAuthorPermissions = async (id) => {
-  const user = await UserService.findOneById(id);
-  return user.role === 'Author' || user.role === 'Editor' || user.role === 'Admin';
+exports.hasPermission = async (credentials, permission) => {
+  if (credentials.scopes && !credentials.scopes.includes(permission)) {
+    return false;
+  }
+
+  return RoleService.hasPermission(credentials.id, permission);
 };
@@ -4,9 +4,168 @@
  * Manages all actions related to Categories
  */
 
+const _ = require('lodash');
+const { slugify } = require('transliteration');
+
 const database = require.main.require('./services/database');
+const QueryService = require.main.require('./services/query');
+const PostService = require.main.require('./services/post');
 const config = require.main.require('./config');
 
+/**
+ * @object
+ * Columns categories can be sorted by
+ */
+const _sortColumns = {
+  id: 'categories.id',
+  name: 'categories.name',
+  slug: 'categories.slug',
+  description: 'categories.description',
+};
+
+/**
+ * Builds a query selecting the ids of a category and every category below it
+ * Deleted categories, and the categories below them, are left out
+ * @param {String} category Column or query parameter holding the category's id
+ * @returns {String} Query selecting category ids
+ */
+const _descendantsQuery = category => `WITH RECURSIVE descendants(id) AS (
+      SELECT ${category}
+      UNION SELECT categories.id FROM categories
+      JOIN descendants ON categories.parent = descendants.id
+      WHERE categories."deletedAt" IS NULL
+    ) SELECT id FROM descendants`;
+
+/**
+ * Builds an expression counting the posts readers can see in each category
+ * @param {Boolean} includeDescendants Whether to count posts in the categories below as well
+ * @returns {String} Post count expression
+ */
+const _postCount = includeDescendants => `(
+      SELECT COUNT(*)::INTEGER FROM posts
+      WHERE posts.category IN (${includeDescendants ? _descendantsQuery('categories.id') : 'categories.id'})
+        AND posts."deletedAt" IS NULL AND ${PostService.visibleCondition}
+    )`;
+
+/**
+ * Builds the fields that can be selected when fetching categories, mapped to their SQL expressions
+ * @param {Boolean} includeDescendants Whether post counts include the categories below
+ * @returns {Object} Map of field names to SQL expressions
+ */
+const _fieldColumns = includeDescendants => ({
+  id: 'categories.id',
+  name: 'categories.name',
+  slug: 'categories.slug',
+  description: 'categories.description',
+  parent: 'categories.parent',
+  isDefault: 'categories."isDefault"',
+  postCount: _postCount(includeDescendants),
+  deletedAt: 'categories."deletedAt"',
+});
+
+/**
+ * @array
+ * Fields that can be selected when fetching categories
+ */
+exports.fields = Object.keys(_fieldColumns(false));
+
+/**
+ * Prepares a category to be deleted, within the transaction deleting it
+ * Its posts are moved to another category, or must have been moved already,
+ * and the categories below it are moved up a level
+ * @param {Object} client Database client to run queries with
+ * @param {Number} id Category's id
+ * @param {Number} reassignTo (optional) Id of the category to move the category's posts to
+ * @returns {void}
+ */
+const _release = async (client, id, reassignTo) => {
+  const found = await client.query('SELECT parent, "isDefault" FROM categories WHERE id = $1 FOR UPDATE', [id]);
+  const category = found.rows[0];
+
+  if (!category) {
+    throw new Error('No Records Updated');
+  }
+  if (category.isDefault) {
+    throw new Error('Protected Category');
+  }
+
+  if (reassignTo) {
+    const target = await client.query(
+      'SELECT id FROM categories WHERE id = $1 AND id <> $2 AND "deletedAt" IS NULL FOR SHARE',
+      [reassignTo, id],
+    );
+    if (target.rowCount === 0) {
+      throw new Error('Invalid Reassign Category');
+    }
+
+    // Deleted posts are moved too, so they can be restored into a category
+    await client.query('UPDATE posts SET category = $1 WHERE category = $2', [reassignTo, id]);
+  } else {
+    const posts = await client.query('SELECT 1 FROM posts WHERE category = $1 LIMIT 1', [id]);
+    if (posts.rowCount > 0) {
+      throw new Error('Record In Use');
+    }
+  }
+
+  await client.query(
+    'UPDATE categories SET parent = $1, "updatedAt" = CURRENT_TIMESTAMP WHERE parent = $2',
+    [category.parent, id],
+  );
+};
+
+/**
+ * Creates a URL friendly slug from text
+ * @param {String} text Text to create a slug from, such as a name
+ * @returns {String} Slug
+ */
+const _slugify = text => slugify(text, { lowercase: true, separator: '-' }) || 'category';
+
+/**
+ * Finds a slug that no category is using
+ * Adds the lowest available numeric suffix when the slug is taken, e.g. `photos-2`
+ * @param {Object} client Database client to run queries with
+ * @param {String} slug Desired slug
+ * @returns {String} Available slug
+ */
+const _findAvailableSlug = async (client, slug) => {
+  const pattern = `^${_.escapeRegExp(slug)}(-[0-9]+)?$`;
+  const result = await client.query('SELECT slug FROM categories WHERE slug ~* $1', [pattern]);
+
+  const taken = result.rows.map(row => row.slug.toLowerCase());
+  if (!taken.includes(slug.toLowerCase())) {
+    return slug;
+  }
+
+  let suffix = 2;
+  while (taken.includes(`${slug}-${suffix}`.toLowerCase())) {
+    suffix++;
+  }
+  return `${slug}-${suffix}`;
+};
+
+/**
+ * Ensures a category can be moved below a parent
+ * The parent must exist, and can not be the category itself or any category below it
+ * @param {Object} client Database client to run queries with
+ * @param {Number} id (optional) Id of the category being moved, when it already exists
+ * @param {Number} parent (optional) Id of the new parent category
+ * @returns {void}
+ */
+const _checkParent = async (client, id, parent) => {
+  if (!parent) {
+    return;
+  }
+
+  const result = await client.query(
+    `SELECT id FROM categories WHERE id = $1 AND "deletedAt" IS NULL
+      AND ($2::INTEGER IS NULL OR id NOT IN (${_descendantsQuery('$2::INTEGER')}))`,
+    [parent, id],
+  );
+  if (result.rowCount === 0) {
+    throw new Error('Invalid Parent');
+  }
+};
+
 /**
  * Prepares the table for use
  * @returns {void}
@@ -22,11 +181,52 @@ exports.init = async () => {
     UNIQUE (name)
   )`);
 
+  // Allow categories to be nested, and found by slug
+  await database.query(`ALTER TABLE categories
+    ADD COLUMN IF NOT EXISTS parent INTEGER REFERENCES categories(id) DEFAULT NULL`);
+  await database.query('ALTER TABLE categories ADD COLUMN IF NOT EXISTS slug CITEXT');
+  await database.query('CREATE UNIQUE INDEX IF NOT EXISTS index_categories_slug ON categories (slug)');
+  await database.query('CREATE INDEX IF NOT EXISTS index_categories_parent ON categories (parent)');
+
   // Ensure default categories exist
   await Promise.all(config.defaultCategories.map(
-    async ({ name, description }, index) => (database.query('INSERT INTO categories(id, name, description) VALUES($1, $2, $3) ON CONFLICT DO NOTHING', [index + 1, name, description])),
+    async ({ name, description }, index) => (database.query('INSERT INTO categories(id, name, description, slug) VALUES($1, $2, $3, $4) ON CONFLICT DO NOTHING', [index + 1, name, description, _slugify(name)])),
   ));
 
+  // Default categories are created with explicit ids, so catch the id sequence up
+  await database.query(`SELECT setval(pg_get_serial_sequence('categories', 'id'), MAX(id))
+    FROM categories HAVING MAX(id) IS NOT NULL`);
+
+  // Give slugs to categories created before they had them
+  const unslugged = await database.query('SELECT id, name FROM categories WHERE slug IS NULL ORDER BY id');
+  await Promise.each(unslugged.rows, ({ id, name }) => database.transaction(async (client) => {
+    const slug = await _findAvailableSlug(client, _slugify(name));
+    await client.query('UPDATE categories SET slug = $1 WHERE id = $2', [slug, id]);
+  }));
+  await database.query('ALTER TABLE categories ALTER COLUMN slug SET NOT NULL');
+
+  // Mark the category posts are placed in when they are not given one, which can not be deleted
+  await database.query(`ALTER TABLE categories
+    ADD COLUMN IF NOT EXISTS "isDefault" BOOLEAN NOT NULL DEFAULT FALSE`);
+  await database.query(`CREATE UNIQUE INDEX IF NOT EXISTS index_categories_default
+    ON categories ("isDefault") WHERE "isDefault"`);
+
+  // Create the default category on the first run
+  // It is managed through the API after that, so it is not created again when renamed
+  await database.transaction(async (client) => {
+    const existing = await client.query('SELECT id FROM categories WHERE "isDefault"');
+    if (existing.rowCount > 0) {
+      return;
+    }
+
+    const slug = await _findAvailableSlug(client, _slugify(config.defaultCategory));
+    await client.query(
+      `INSERT INTO categories(name, description, slug, "isDefault") VALUES($1, '', $2, TRUE)
+      ON CONFLICT (name) DO UPDATE SET "isDefault" = TRUE, "deletedAt" = NULL`,
+      [config.defaultCategory, slug],
+    );
+  });
+
   // Create index for search on category name
   await database.query(`CREATE INDEX IF NOT EXISTS index_categories_full_text ON categories using
   gin((name) gin_trgm_ops);`);
@@ -39,50 +239,60 @@ exports.init = async () => {
  * @param {Object} params New category parameters
  * @param {String} params.name New category's name
  * @param {String} params.description (optional) New category's description
+ * @param {String} params.slug (optional) New category's slug, generated from the name by default
+ * @param {Number} params.parent (optional) Id of the category to nest the new category under
  * @returns {Category} Created category
  */
 exports.create = async ({
   name,
   description = '',
+  slug = null,
+  parent = null,
 }) => {
   if (!name) {
     throw new Error('Invalid Create Payload Provided');
   }
 
-  const result = await database.query(
-    `INSERT INTO categories(name, description) VALUES($1, $2)
-    RETURNING id, name, description`,
-    [name, description],
-  );
+  const id = await database.transaction(async (client) => {
+    await _checkParent(client, null, parent);
 
-  if (result.rowCount === 0) {
-    throw new Error('No Records Updated');
-  }
+    const categorySlug = slug || await _findAvailableSlug(client, _slugify(name));
+    const result = await client.query(
+      'INSERT INTO categories(name, description, slug, parent) VALUES($1, $2, $3, $4) RETURNING id',
+      [name, description, categorySlug, parent],
+    );
+
+    if (result.rowCount === 0) {
+      throw new Error('No Records Updated');
+    }
+
+    return result.rows[0].id;
+  });
 
-  return result.rows[0];
+  return exports.findOneById(id);
 };
 
 /**
- * Fetches a single category by id
- * @param {Number} id Category's id
+ * Fetches a single category matching a condition
+ * @param {String} condition WHERE condition identifying the category
+ * @param {Array} values Query values used by the condition
  * @param {Object} options Find options
  * @param {Boolean} options.paranoid (optional) Whether to omit deleted records, defaults to true
+ * @param {Boolean} options.includeDescendants (optional) Whether post counts include the
+ * categories below, defaults to false
  * @returns {Category} Found category
  */
-exports.findOneById = async (
-  id,
-  { paranoid = true } = { paranoid: true },
-) => {
-  // Find the category
-  let query = `SELECT id, name, description FROM categories
-    WHERE categories.id = $1
+const _findOne = async (condition, values, { paranoid = true, includeDescendants = false }) => {
+  let query = `SELECT ${QueryService.selectFields(null, _fieldColumns(includeDescendants))}
+    FROM categories
+    WHERE ${condition}
   `;
 
   if (paranoid) {
-    query += ' AND "deletedAt" IS NULL';
+    query += ' AND categories."deletedAt" IS NULL';
   }
 
-  const result = await database.query(query, [id]);
+  const result = await database.query(query, values);
   const category = result.rows[0];
 
   if (!category) {
@@ -92,31 +302,145 @@ exports.findOneById = async (
   return category;
 };
 
+/**
+ * Fetches a single category by id
+ * @param {Number} id Category's id
+ * @param {Object} options Find options
+ * @param {Boolean} options.paranoid (optional) Whether to omit deleted records, defaults to true
+ * @param {Boolean} options.includeDescendants (optional) Whether post counts include the
+ * categories below, defaults to false
+ * @returns {Category} Found category
+ */
+exports.findOneById = async (
+  id,
+  {
+    paranoid = true,
+    includeDescendants = false,
+  } = {
+    paranoid: true,
+    includeDescendants: false,
+  },
+) => _findOne('categories.id = $1', [id], { paranoid, includeDescendants });
+
+/**
+ * Fetches a single category by slug
+ * @param {String} slug Category's slug
+ * @param {Object} options Find options
+ * @param {Boolean} options.paranoid (optional) Whether to omit deleted records, defaults to true
+ * @param {Boolean} options.includeDescendants (optional) Whether post counts include the
+ * categories below, defaults to false
+ * @returns {Category} Found category
+ */
+exports.findOneBySlug = async (
+  slug,
+  {
+    paranoid = true,
+    includeDescendants = false,
+  } = {
+    paranoid: true,
+    includeDescendants: false,
+  },
+) => _findOne('categories.slug = $1', [slug], { paranoid, includeDescendants });
+
+/**
+ * Fetches the ids of a category and every category below it
+ * @param {String} category Category's id or slug
+ * @returns {Number[]} Category ids, empty when the category is not found
+ */
+exports.findDescendantIds = async (category) => {
+  const condition = /^[0-9]+$/.test(category) ? 'id = $1::INTEGER' : 'slug = $1';
+  const result = await database.query(
+    `SELECT id FROM categories WHERE ${condition} AND "deletedAt" IS NULL`,
+    [category],
+  );
+
+  if (result.rowCount === 0) {
+    return [];
+  }
+
+  const results = await database.query(_descendantsQuery('$1::INTEGER'), [result.rows[0].id]);
+  return results.rows.map(row => row.id);
+};
+
+/**
+ * Fetches every category, nested under their parents
+ * Each category includes its `children`, sorted by name
+ * @param {Object} options (optional) Tree options
+ * @param {Boolean} options.includeDescendants (optional) Whether post counts include the
+ * categories below, defaults to false
+ * @param {String} options.fields (optional) Comma separated fields to select,
+ * defaults to every field. Categories always include their `parent`, which they are nested by
+ * @returns {Category[]} Top level categories
+ */
+exports.tree = async ({ includeDescendants = false, fields = null } = {}) => {
+  const columns = QueryService.selectFields(
+    fields && `${fields},parent`,
+    _fieldColumns(includeDescendants),
+  );
+  const results = await database.query(`SELECT ${columns}
+    FROM categories
+    WHERE categories."deletedAt" IS NULL
+    ORDER BY categories.name, categories.id`);
+
+  const nodes = _.keyBy(results.rows.map(row => ({ ...row, children: [] })), 'id');
+  const roots = [];
+  results.rows.forEach((row) => {
+    // Categories whose parent was deleted are shown at the top level
+    const parent = nodes[row.parent];
+    (parent ? parent.children : roots).push(nodes[row.id]);
+  });
+
+  return roots;
+};
+
 /**
  * Fetches categories
  * @param {String} searchText (optional) Text to search against
  * @param {Object} options (optional) Search options
  * @param {Boolean} options.paranoid (optional) Whether to omit deleted records, defaults to true
- * @param {Number} options.limit (optional) Maximum number of records to return, defaults to no limit
+ * @param {Boolean} options.trashed (optional) Whether to only return deleted records
+ * @param {Boolean} options.includeDescendants (optional) Whether post counts include the
+ * categories below, defaults to false
+ * @param {Number} options.limit (optional) Maximum number of records to return,
+ * defaults to no limit
  * @param {Number} options.offset (optional) Number of records to skip over, defaults to 0
- * @param {String} options.orderBy (optional) Which column to sort records by, defaults to id
+ * @param {String} options.orderBy (optional) Comma separated columns to sort records by,
+ * prefixed with `-` to sort descending, defaults to id
+ * @param {Array} options.cursor (optional) Sort values of the record to continue after,
+ * an empty array starts from the beginning. Results include the next `cursor` instead of a `count`
+ * @param {String} options.fields (optional) Comma separated fields to select,
+ * defaults to every field
  * @returns {Category} Found category
  */
 exports.search = async (
   searchText,
   {
     paranoid = true,
+    trashed = false,
+    includeDescendants = false,
     limit = null,
     offset = 0,
     orderBy = 'id',
+    cursor = null,
+    fields = null,
   } = {
     paranoid: true,
+    trashed: false,
+    includeDescendants: false,
     limit: null,
     offset: 0,
     orderBy: 'id',
+    cursor: null,
+    fields: null,
   },
 ) => {
-  let query = 'SELECT id, name, description FROM categories';
+  // Sort by the requested columns
+  const sorts = QueryService.parseSort(orderBy, _sortColumns);
+
+  const columns = QueryService.selectFields(fields, _fieldColumns(includeDescendants));
+  const cursorColumn = cursor ? `, ${QueryService.cursorColumn(sorts)}` : '';
+  let query = `SELECT ${columns}${cursorColumn}
+    FROM categories`;
 
   let countQuery = 'SELECT COUNT(*) FROM categories';
 
@@ -125,11 +449,17 @@ exports.search = async (
 
   if (searchText) {
     values.push(searchText);
-    where.push(`(name) LIKE concat('%',(TEXT($${values.length})),'%')`);
+    where.push(`(categories.name) LIKE concat('%',(TEXT($${values.length})),'%')`);
   }
 
-  if (paranoid) {
-    where.push('"deletedAt" IS NULL');
+  if (trashed) {
+    where.push('categories."deletedAt" IS NOT NULL');
+  } else if (paranoid) {
+    where.push('categories."deletedAt" IS NULL');
+  }
+
+  if (cursor && cursor.length) {
+    where.push(QueryService.keyset(sorts, cursor, values));
   }
 
   if (where.length) {
@@ -139,25 +469,18 @@ exports.search = async (
   }
 
   // Count the total records before limit and offset
-  const countResult = await database.query(countQuery, values);
-
-  // This is technically vulnerable to SQL injection,
-  // but route validation should prevent any attacks.
-  // Unfortunately `pg` does not work with parameters for ORDER BY.
-  const descendingSort = orderBy.startsWith('-');
-  if (descendingSort) {
-    query += ` ORDER BY "${orderBy.substr(1)}" DESC`;
-  } else {
-    query += ` ORDER BY "${orderBy}"`;
-  }
-  // TODO: Handle multiple sorts
+  // Keyset pagination skips counting, which gets slow on large tables
+  const countResult = cursor ? null : await database.query(countQuery, values);
+
+  query += QueryService.orderBy(sorts);
 
   if (limit) {
-    values.push(limit);
+    // Keyset pagination fetches an extra record to find out if there is another page
+    values.push(cursor ? limit + 1 : limit);
     query += ` LIMIT $${values.length}`;
   }
 
-  if (offset) {
+  if (offset && !cursor) {
     values.push(offset);
     query += ` OFFSET $${values.length}`;
   }
@@ -167,6 +490,14 @@ exports.search = async (
     values,
   );
 
+  if (cursor) {
+    const page = QueryService.cursorPage(results.rows, limit);
+    return {
+      categories: page.rows,
+      cursor: page.cursor,
+    };
+  }
+
   return {
     categories: results.rows,
     count: countResult.rows[0].count,
@@ -180,6 +511,9 @@ exports.search = async (
  * @param {Object} params New category parameters
  * @param {String} params.name (optional) Category's new name
  * @param {String} params.description (optional) Category's new description
+ * @param {String} params.slug (optional) Category's new slug
+ * @param {Number} params.parent (optional) Id of the category to move the category under,
+ * or null to move it to the top level
  * @returns {Boolean} Update successful
  */
 exports.update = async (id, payload) => {
@@ -198,7 +532,59 @@ exports.update = async (id, payload) => {
   values.push(id);
   query += ` WHERE id = $${values.length}`;
 
-  const result = await database.query(query, values);
+  await database.transaction(async (client) => {
+    // Lock the categories, so concurrent moves can not create a loop
+    if (update.parent) {
+      await client.query('LOCK TABLE categories IN SHARE ROW EXCLUSIVE MODE');
+      await _checkParent(client, id, update.parent);
+    }
+
+    const result = await client.query(query, values);
+    if (result.rowCount === 0) {
+      throw new Error('No Records Updated');
+    }
+  });
+
+  return true;
+};
+
+/**
+ * Deletes a category by id
+ * Categories that still have posts, including deleted posts, can only be deleted
+ * by moving the posts to another category
+ * @param {Number} id Category's id
+ * @param {Object} options (optional) Delete options
+ * @param {Number} options.reassignTo (optional) Id of the category to move the category's posts to
+ * @returns {Boolean} Update successful
+ */
+exports.softDelete = async (id, { reassignTo } = {}) => {
+  await database.transaction(async (client) => {
+    await _release(client, id, reassignTo);
+
+    const result = await client.query(
+      `UPDATE categories SET "updatedAt" = CURRENT_TIMESTAMP, "deletedAt" = CURRENT_TIMESTAMP
+      WHERE id = $1 AND "deletedAt" IS NULL`,
+      [id],
+    );
+    if (result.rowCount === 0) {
+      throw new Error('No Records Updated');
+    }
+  });
+
+  return true;
+};
+
+/**
+ * Restores a deleted category by id
+ * @param {Number} id Category's id
+ * @returns {Boolean} Restore successful
+ */
+exports.restore = async (id) => {
+  const result = await database.query(
+    'UPDATE categories SET "deletedAt" = NULL WHERE id = $1 AND "deletedAt" IS NOT NULL',
+    [id],
+  );
+
   if (result.rowCount === 0) {
     throw new Error('No Records Updated');
   }
@@ -207,12 +593,50 @@ exports.update = async (id, payload) => {
 };
 
 /**
- * Deletes a category by id
+ * Permanently deletes a category by id
+ * Categories that still have posts, including deleted posts, can only be deleted
+ * by moving the posts to another category
  * @param {Number} id Category's id
- * @returns {Boolean} Update successful
+ * @param {Object} options (optional) Delete options
+ * @param {Number} options.reassignTo (optional) Id of the category to move the category's posts to
+ * @returns {Boolean} Delete successful
  */
-exports.softDelete = async (id) => {
-  await exports.update(id, { deletedAt: new Date() });
+exports.hardDelete = async (id, { reassignTo } = {}) => {
+  await database.transaction(async (client) => {
+    await _release(client, id, reassignTo);
+
+    const result = await client.query('DELETE FROM categories WHERE id = $1', [id]);
+    if (result.rowCount === 0) {
+      throw new Error('No Records Updated');
+    }
+  });
 
   return true;
 };
+
+/**
+ * Permanently deletes categories that have been deleted for longer than a retention period
+ * Categories that still have posts are kept
+ * @param {String} retention How long deleted categories are kept, such as `30 days`
+ * @returns {Number} Number of categories purged
+ */
+exports.purgeTrash = async (retention) => {
+  const result = await database.query(
+    'SELECT id FROM categories WHERE "deletedAt" < CURRENT_TIMESTAMP - $1::INTERVAL',
+    [retention],
+  );
+
+  let purged = 0;
+  await Promise.each(result.rows, ({ id }) => exports.hardDelete(id)
+    .then(() => {
+      purged += 1;
+    })
+    .catch((err) => {
+      // Skip categories that were already purged or still have posts
+      if (err.message !== 'No Records Updated' && err.message !== 'Record In Use') {
+        throw err;
+      }
+    }));
+
+  return purged;
+};
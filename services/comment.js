@@ -0,0 +1,365 @@
+/**
+ * Comment Service
+ *
+ * Manages all actions related to Comments
+ */
+const _ = require('lodash');
+
+const database = require.main.require('./services/database');
+const QueryService = require.main.require('./services/query');
+const config = require.main.require('./config');
+
+/**
+ * @array
+ * Moderation statuses a comment can have
+ */
+exports.statuses = ['pending', 'approved', 'spam'];
+
+/**
+ * Determines the status a new comment starts with
+ * Comments wait for moderation when `moderateComments` is enabled, unless left by a moderator
+ * @param {Boolean} moderator Whether the comment's author can moderate comments
+ * @returns {String} Initial moderation status
+ */
+exports.initialStatus = moderator => (moderator || !config.moderateComments ? 'approved' : 'pending');
+
+/**
+ * @string
+ * Columns selected when fetching comments
+ */
+const _commentColumns = `
+    comments.id AS id,
+    comments.post AS post,
+    posts.title AS "postTitle",
+    parent,
+    comments.author AS author,
+    "firstName" AS "authorFirstName",
+    "lastName" AS "authorLastName",
+    comments.content AS content,
+    comments.status AS status,
+    comments."createdAt" AS "createdAt",
+    comments."updatedAt" AS "updatedAt"
+`;
+
+/**
+ * @object
+ * Columns comments can be sorted by
+ */
+const _sortColumns = {
+  id: 'comments.id',
+  post: 'comments.post',
+  status: 'comments.status',
+  createdAt: 'comments."createdAt"',
+  updatedAt: 'comments."updatedAt"',
+};
+
+/**
+ * Prepares the table for use
+ * @returns {void}
+ */
+exports.init = async () => {
+  await database.query(`CREATE TABLE IF NOT EXISTS comments (
+    id SERIAL PRIMARY KEY,
+    post INTEGER REFERENCES posts(id) NOT NULL,
+    parent INTEGER REFERENCES comments(id) DEFAULT NULL,
+    author INTEGER REFERENCES users(id) NOT NULL,
+    content TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('${exports.statuses.join("', '")}')),
+    "createdAt" TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    "deletedAt" TIMESTAMP WITH TIME ZONE DEFAULT NULL
+  )`);
+
+  // Create index for counting and listing the comments on a post
+  await database.query('CREATE INDEX IF NOT EXISTS index_comments_post ON comments (post, status)');
+};
+
+/**
+ * Creates a new comment
+ * @param {Object} params New comment parameters
+ * @param {Number} params.post Post being commented on
+ * @param {Number} params.author New comment's author
+ * @param {String} params.content New comment's content
+ * @param {Number} params.parent (optional) Comment being replied to, must be on the same post
+ * @param {String} params.status (optional) New comment's moderation status, defaults to pending
+ * @returns {Comment} Created comment
+ */
+exports.create = async ({
+  post,
+  author,
+  content,
+  parent = null,
+  status = 'pending',
+}) => {
+  if (!post || !author || !content) {
+    throw new Error('Invalid Create Payload Provided');
+  }
+
+  if (parent) {
+    const parentResult = await database.query(
+      'SELECT id FROM comments WHERE id = $1 AND post = $2 AND "deletedAt" IS NULL',
+      [parent, post],
+    );
+    if (parentResult.rowCount === 0) {
+      throw new Error('Invalid Parent');
+    }
+  }
+
+  const result = await database.query(
+    `INSERT INTO comments(post, parent, author, content, status) VALUES($1, $2, $3, $4, $5)
+    RETURNING id, post, parent, author, content, status, "createdAt", "updatedAt"`,
+    [post, parent, author, content, status],
+  );
+
+  if (result.rowCount === 0) {
+    throw new Error('No Records Updated');
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Fetches a single comment by id
+ * @param {Number} id Comment's id
+ * @param {Object} options Find options
+ * @param {Boolean} options.paranoid (optional) Whether to omit deleted records, defaults to true
+ * @returns {Comment} Found comment
+ */
+exports.findOneById = async (
+  id,
+  { paranoid = true } = { paranoid: true },
+) => {
+  let query = `SELECT ${_commentColumns}
+    FROM comments
+    LEFT JOIN posts ON comments.post = posts.id
+    LEFT JOIN users ON comments.author = users.id
+    WHERE comments.id = $1
+  `;
+
+  if (paranoid) {
+    query += ' AND comments."deletedAt" IS NULL';
+  }
+
+  const result = await database.query(query, [id]);
+  const comment = result.rows[0];
+
+  if (!comment) {
+    // No Comment found
+    throw new Error('No Record Found');
+  }
+  return comment;
+};
+
+/**
+ * Fetches the comments on a post as threads
+ * Replies are nested under their parent's `replies`. Parents that cannot be shown but have
+ * replies that can are kept as placeholders, without their author or content.
+ * @param {Number} post Post's id
+ * @param {Object} options (optional) Find options
+ * @param {Number} options.viewer (optional) Id of the user viewing, who can see their own comments
+ * @param {Boolean} options.moderator (optional) Whether comments of every status can be seen
+ * @returns {Object} Top level `comments`, and the `count` of comments that can be seen
+ */
+exports.findThreads = async (post, { viewer, moderator = false } = {}) => {
+  const results = await database.query(
+    `SELECT ${_commentColumns}, comments."deletedAt" AS "deletedAt"
+    FROM comments
+    LEFT JOIN posts ON comments.post = posts.id
+    LEFT JOIN users ON comments.author = users.id
+    WHERE comments.post = $1
+    ORDER BY comments."createdAt", comments.id`,
+    [post],
+  );
+
+  const canView = comment => !comment.deletedAt
+    && (moderator || comment.status === 'approved' || (viewer && comment.author === viewer));
+
+  const byParent = _.groupBy(results.rows, comment => comment.parent || 0);
+  let count = 0;
+
+  const buildThreads = parent => (byParent[parent] || []).map((comment) => {
+    const replies = buildThreads(comment.id);
+    if (canView(comment)) {
+      count++;
+      return { ..._.omit(comment, 'deletedAt'), replies };
+    }
+    if (replies.length) {
+      return {
+        id: comment.id,
+        post: comment.post,
+        parent: comment.parent,
+        removed: true,
+        createdAt: comment.createdAt,
+        replies,
+      };
+    }
+    return null;
+  }).filter(comment => comment);
+
+  const comments = buildThreads(0);
+
+  return {
+    comments,
+    count,
+  };
+};
+
+/**
+ * Fetches comments, such as those waiting for moderation
+ * @param {Object} parameters (optional) Search parameters
+ * @param {String} params.status (optional) Moderation status to search for
+ * @param {Number} params.post (optional) Post to search for
+ * @param {Number} params.author (optional) Author to search for
+ * @param {Object} options (optional) Search options
+ * @param {Boolean} options.paranoid (optional) Whether to omit deleted records, defaults to true
+ * @param {Number} options.limit (optional) Maximum number of records to return,
+ * defaults to no limit
+ * @param {Number} options.offset (optional) Number of records to skip over, defaults to 0
+ * @param {String} options.orderBy (optional) Comma separated columns to sort records by,
+ * prefixed with `-` to sort descending, defaults to id
+ * @param {Array} options.cursor (optional) Sort values of the record to continue after,
+ * an empty array starts from the beginning. Results include the next `cursor` instead of a `count`
+ * @returns {Object} Found comments, and the total count or next cursor
+ */
+exports.search = async (
+  {
+    status,
+    post,
+    author,
+  } = {},
+  {
+    paranoid = true,
+    limit = null,
+    offset = 0,
+    orderBy = 'id',
+    cursor = null,
+  } = {
+    paranoid: true,
+    limit: null,
+    offset: 0,
+    orderBy: 'id',
+    cursor: null,
+  },
+) => {
+  // Sort by the requested columns
+  const sorts = QueryService.parseSort(orderBy, _sortColumns);
+
+  const cursorColumn = cursor ? `, ${QueryService.cursorColumn(sorts)}` : '';
+  let query = `SELECT ${_commentColumns}${cursorColumn}
+    FROM comments
+    LEFT JOIN posts ON comments.post = posts.id
+    LEFT JOIN users ON comments.author = users.id`;
+
+  let countQuery = 'SELECT COUNT(*) FROM comments';
+
+  const values = [];
+  const where = [];
+
+  if (paranoid) {
+    where.push('comments."deletedAt" IS NULL');
+  }
+
+  if (status) {
+    values.push(status);
+    where.push(`comments.status = $${values.length}`);
+  }
+
+  if (post) {
+    values.push(post);
+    where.push(`comments.post = $${values.length}`);
+  }
+
+  if (author) {
+    values.push(author);
+    where.push(`comments.author = $${values.length}`);
+  }
+
+  if (cursor && cursor.length) {
+    where.push(QueryService.keyset(sorts, cursor, values));
+  }
+
+  if (where.length) {
+    const whereClause = ` WHERE ${where.join(' AND ')}`;
+    query += whereClause;
+    countQuery += whereClause;
+  }
+
+  // Count the total records before limit and offset
+  // Keyset pagination skips counting, which gets slow on large tables
+  const countResult = cursor ? null : await database.query(countQuery, values);
+
+  query += QueryService.orderBy(sorts);
+
+  if (limit) {
+    // Keyset pagination fetches an extra record to find out if there is another page
+    values.push(cursor ? limit + 1 : limit);
+    query += ` LIMIT $${values.length}`;
+  }
+
+  if (offset && !cursor) {
+    values.push(offset);
+    query += ` OFFSET $${values.length}`;
+  }
+
+  const results = await database.query(
+    query,
+    values,
+  );
+
+  if (cursor) {
+    const page = QueryService.cursorPage(results.rows, limit);
+    return {
+      comments: page.rows,
+      cursor: page.cursor,
+    };
+  }
+
+  return {
+    comments: results.rows,
+    count: countResult.rows[0].count,
+  };
+};
+
+/**
+ * Updates a comment with provided values.
+ * One of the optional values must be provided.
+ * @param {Number} id Comment's id
+ * @param {Object} payload Update parameters
+ * @param {String} payload.content (optional) Comment's new content
+ * @param {String} payload.status (optional) Comment's new moderation status
+ * @returns {Boolean} Update successful
+ */
+exports.update = async (id, payload) => {
+  if (!payload) {
+    throw new Error('Invalid Update Payload Provided');
+  }
+
+  const update = { ...payload };
+
+  let query = 'UPDATE comments SET "updatedAt" = CURRENT_TIMESTAMP';
+  const values = [];
+  Object.keys(update).forEach((key, index) => {
+    query += `, "${key}" = $${index + 1}`;
+    values.push(update[key]);
+  });
+  values.push(id);
+  query += ` WHERE id = $${values.length}`;
+
+  const result = await database.query(query, values);
+  if (result.rowCount === 0) {
+    throw new Error('No Records Updated');
+  }
+
+  return true;
+};
+
+/**
+ * Deletes a comment by id
+ * @param {Number} id Comment's id
+ * @returns {Boolean} Update successful
+ */
+exports.softDelete = async (id) => {
+  await exports.update(id, { deletedAt: new Date() });
+
+  return true;
+};
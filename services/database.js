@@ -14,4 +14,25 @@ pool.on('error', (err) => {
   console.error('Unexpected error on idle client', err);
 });
 
+/**
+ * Runs queries inside of a single transaction
+ * Commits if the callback resolves, rolls back if it throws
+ * @param {Function} callback Receives a client to run queries with
+ * @returns {*} Whatever the callback resolves with
+ */
+pool.transaction = async (callback) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
 module.exports = pool;
@@ -0,0 +1,399 @@
+/**
+ * Documentation Service
+ *
+ * Generates OpenAPI documentation from route definitions
+ */
+
+const _ = require('lodash');
+const Joi = require('joi');
+
+const packageInfo = require.main.require('./package.json');
+
+/**
+ * @string
+ * Where the documentation page loads Swagger UI from
+ */
+const _swaggerUiUrl = 'https://unpkg.com/swagger-ui-dist@3';
+
+/**
+ * @object
+ * Descriptions of the response codes routes can return
+ */
+const _statusDescriptions = {
+  200: 'Success',
+  201: 'Created',
+  204: 'Success, with no content',
+  301: 'Moved permanently, follow the Location header',
+  400: 'Invalid request',
+  401: 'Authentication required, or missing permissions',
+  403: 'Forbidden',
+  404: 'Not found',
+  409: 'Conflict',
+  415: 'Unsupported media type',
+  429: 'Too many requests, retry after the number of seconds in the Retry-After header',
+  500: 'Server error',
+};
+
+/**
+ * @array
+ * Strategies routes authenticate with by default, matching the server's default auth
+ */
+const _defaultStrategies = ['jwt', 'api_key'];
+
+/**
+ * @object
+ * Response headers routes can document
+ */
+const _headers = {
+  'X-Total-Count': {
+    description: 'Total number of matching records',
+    schema: { type: 'integer' },
+  },
+  Link: {
+    description: 'Links to the first, previous, next and last pages',
+    schema: { type: 'string' },
+  },
+  'X-Next-Cursor': {
+    description: 'Cursor of the next page, when using cursor pagination',
+    schema: { type: 'string' },
+  },
+};
+
+/**
+ * Converts a Joi description to an OpenAPI schema
+ * @param {Object} description Result of describing a Joi schema
+ * @returns {Object} OpenAPI schema
+ */
+const _toSchema = (description) => {
+  if (!description) {
+    return {};
+  }
+
+  // Conditional schemas are documented by their base schema
+  if (description.type === 'alternatives') {
+    return _toSchema(description.base || (description.alternatives[0] || {}).then);
+  }
+
+  const flags = description.flags || {};
+  const rules = description.rules || [];
+  const schema = {};
+
+  switch (description.type) {
+    case 'object': {
+      schema.type = 'object';
+      const children = description.children || {};
+      const keys = Object.keys(children)
+        .filter(key => (children[key].flags || {}).presence !== 'forbidden');
+      if (keys.length) {
+        schema.properties = {};
+        keys.forEach((key) => {
+          schema.properties[key] = _toSchema(children[key]);
+        });
+
+        const required = keys.filter(key => (children[key].flags || {}).presence === 'required');
+        if (required.length) {
+          schema.required = required;
+        }
+      }
+      break;
+    }
+    case 'array':
+      schema.type = 'array';
+      schema.items = _toSchema((description.items || [])[0]);
+      break;
+    case 'number':
+      schema.type = rules.some(rule => rule.name === 'integer') ? 'integer' : 'number';
+      break;
+    case 'date':
+      schema.type = 'string';
+      schema.format = 'date-time';
+      break;
+    case 'string':
+    case 'boolean':
+      schema.type = description.type;
+      break;
+    default:
+      break;
+  }
+
+  // Limits are named differently for each type
+  const limits = {
+    string: ['minLength', 'maxLength'],
+    array: ['minItems', 'maxItems'],
+    number: ['minimum', 'maximum'],
+  }[description.type];
+
+  rules.forEach((rule) => {
+    if (limits && typeof rule.arg === 'number' && (rule.name === 'min' || rule.name === 'max')) {
+      schema[limits[rule.name === 'min' ? 0 : 1]] = rule.arg;
+    } else if (rule.name === 'regex') {
+      schema.pattern = rule.arg.pattern.source;
+    } else if (rule.name === 'email') {
+      schema.format = 'email';
+    }
+  });
+
+  const valids = description.valids || [];
+  if (flags.allowOnly) {
+    schema.enum = valids.filter(value => value !== null);
+  }
+  if (valids.includes(null)) {
+    schema.nullable = true;
+  }
+
+  if (flags.default !== undefined && typeof flags.default !== 'function') {
+    schema.default = flags.default;
+  }
+
+  if (description.description) {
+    schema.description = description.description;
+  }
+
+  return schema;
+};
+
+/**
+ * Describes a route validation schema, which can be a Joi schema or a plain object of them
+ * @param {Object} schema (optional) Route validation schema
+ * @returns {Object} OpenAPI schema
+ */
+const _describe = schema => (schema ? _toSchema(Joi.compile(schema).describe()) : null);
+
+/**
+ * Builds the parameters of a route from its validation schemas
+ * @param {Object} validate Route validation options
+ * @returns {Object[]} OpenAPI parameters
+ */
+const _parameters = (validate) => {
+  const parameters = [];
+
+  [['path', validate.params], ['query', validate.query]].forEach(([location, validation]) => {
+    const schema = _describe(validation);
+    if (!schema || !schema.properties) {
+      return;
+    }
+
+    Object.keys(schema.properties).forEach((name) => {
+      parameters.push({
+        name,
+        in: location,
+        required: location === 'path' || (schema.required || []).includes(name),
+        schema: schema.properties[name],
+      });
+    });
+  });
+
+  return parameters;
+};
+
+/**
+ * Builds the request body of a route from its payload validation schema
+ * @param {Object} options Route options
+ * @returns {Object} OpenAPI request body, or undefined when the route takes no payload
+ */
+const _requestBody = (options) => {
+  const schema = _describe((options.validate || {}).payload);
+  if (!schema) {
+    return undefined;
+  }
+
+  let type = 'application/json';
+  const payload = options.payload || {};
+  if (payload.allow === 'multipart/form-data') {
+    type = 'multipart/form-data';
+
+    // Uploaded files are parsed into objects describing them
+    if (payload.output === 'file') {
+      Object.keys(schema.properties || {}).forEach((name) => {
+        if (schema.properties[name].type === 'object') {
+          schema.properties[name] = { type: 'string', format: 'binary' };
+        }
+      });
+    }
+  }
+
+  return {
+    required: true,
+    content: {
+      [type]: { schema },
+    },
+  };
+};
+
+/**
+ * Finds the permissions a route requires through its pre handlers
+ * @param {Object} options Route options
+ * @returns {String[]} Names of required permissions, such as `posts:publish`
+ */
+const _permissions = options => (options.pre || [])
+  .map(pre => pre.method && pre.method.permission)
+  .filter(permission => permission);
+
+/**
+ * Builds the responses of a route
+ * Success codes other than 200, and errors besides the usual ones,
+ * are declared in the route's `plugins.documentation.responses`
+ * @param {Object} route Route definition
+ * @param {Object} options Route options
+ * @param {Boolean} authenticated Whether the route can authenticate the user
+ * @returns {Object} OpenAPI responses
+ */
+const _responses = (route, options, authenticated) => {
+  const documentation = (options.plugins || {}).documentation || {};
+  const declared = documentation.responses || [];
+  const success = declared.filter(code => code < 400);
+  const validate = options.validate || {};
+
+  // Paginated lists describe their pages with headers
+  const query = _describe(validate.query) || {};
+  const properties = query.properties || {};
+  let headers = documentation.headers || [];
+  if (properties.page && properties.per_page) {
+    headers = ['X-Total-Count', 'Link'];
+    if (properties.cursor) {
+      headers.push('X-Next-Cursor');
+    }
+  }
+
+  const codes = [
+    ...(success.length ? success : [200]),
+    ...declared.filter(code => code >= 400),
+  ];
+  if (validate.params || validate.query || validate.payload) {
+    codes.push(400);
+  }
+  if (authenticated) {
+    codes.push(401);
+  }
+  if (route.path.includes('{')) {
+    codes.push(404);
+  }
+  codes.push(500);
+
+  const responses = {};
+  _.uniq(codes).sort().forEach((code) => {
+    responses[code] = {
+      description: _statusDescriptions[code] || 'Error',
+    };
+
+    if (code === 200 && headers.length) {
+      responses[code].headers = {};
+      headers.forEach((header) => {
+        responses[code].headers[header] = _headers[header];
+      });
+    }
+  });
+
+  return responses;
+};
+
+/**
+ * Generates an OpenAPI document describing routes
+ * @param {Object[]} routes Route definitions
+ * @returns {Object} OpenAPI document
+ */
+exports.generate = (routes) => {
+  const paths = {};
+
+  routes.forEach((route) => {
+    const options = route.options || {};
+    const { auth } = options;
+
+    const operation = {};
+    if (options.tags) {
+      operation.tags = options.tags;
+    }
+    if (options.description) {
+      operation.summary = options.description;
+    }
+
+    const notes = [].concat(options.notes || []);
+    const permissions = _permissions(options);
+    if (permissions.length) {
+      notes.push(`Requires the ${permissions.map(name => `\`${name}\``).join(' and ')} permission.`);
+    }
+    if (notes.length) {
+      operation.description = notes.join('\n\n');
+    }
+
+    // Routes use the default strategies unless auth is disabled or limited, and can be optional
+    if (auth === false) {
+      operation.security = [];
+    } else {
+      let strategies = _defaultStrategies;
+      if (typeof auth === 'string') {
+        strategies = [auth];
+      } else if (auth && (auth.strategies || auth.strategy)) {
+        strategies = auth.strategies || [auth.strategy];
+      }
+
+      operation.security = strategies.map(strategy => ({ [strategy]: [] }));
+      if (auth && auth.mode === 'optional') {
+        operation.security.unshift({});
+      }
+    }
+
+    const parameters = _parameters(options.validate || {});
+    if (parameters.length) {
+      operation.parameters = parameters;
+    }
+
+    const requestBody = _requestBody(options);
+    if (requestBody) {
+      operation.requestBody = requestBody;
+    }
+
+    operation.responses = _responses(route, options, auth !== false);
+
+    // Remove trailing slashes, as the router strips them
+    const path = route.path.replace(/(.)\/$/, '$1');
+    paths[path] = paths[path] || {};
+    paths[path][route.method.toLowerCase()] = operation;
+  });
+
+  return {
+    openapi: '3.0.0',
+    info: {
+      title: 'Morty API',
+      description: packageInfo.description,
+      version: packageInfo.version,
+    },
+    components: {
+      securitySchemes: {
+        jwt: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+        },
+        api_key: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+        },
+      },
+    },
+    paths,
+  };
+};
+
+/**
+ * Renders a page showing the documentation with Swagger UI
+ * @param {String} url Url of the OpenAPI document
+ * @returns {String} Documentation page html
+ */
+exports.renderPage = url => `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>Morty API Documentation</title>
+    <link rel="stylesheet" href="${_swaggerUiUrl}/swagger-ui.css">
+  </head>
+  <body>
+    <div id="documentation"></div>
+    <script src="${_swaggerUiUrl}/swagger-ui-bundle.js"></script>
+    <script>
+      SwaggerUIBundle({ url: '${url}', dom_id: '#documentation' });
+    </script>
+  </body>
+</html>
+`;
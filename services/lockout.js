@@ -0,0 +1,138 @@
+/**
+ * Lockout Service
+ *
+ * Tracks failed login attempts, delaying and locking out repeated guesses
+ * Attempts are stored in the database, so every worker shares them
+ */
+
+const database = require.main.require('./services/database');
+const config = require.main.require('./config');
+
+/**
+ * Prepares the table for use
+ * @returns {void}
+ */
+exports.init = async () => {
+  await database.query(`CREATE TABLE IF NOT EXISTS login_failures (
+    key TEXT PRIMARY KEY,
+    failures INTEGER NOT NULL DEFAULT 0,
+    "lastFailedAt" TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    "lockedUntil" TIMESTAMP WITH TIME ZONE DEFAULT NULL
+  )`);
+
+  // Create index for clearing out old failures
+  await database.query('CREATE INDEX IF NOT EXISTS index_login_failures_last_failed_at ON login_failures ("lastFailedAt")');
+};
+
+/**
+ * Builds the key failures against an account are tracked under
+ * Accounts are tracked by email, so guessing at unknown emails is treated the same way
+ * @param {String} email Email being logged in to
+ * @returns {String} Failure key
+ */
+exports.accountKey = email => `account:${email.toLowerCase()}`;
+
+/**
+ * Builds the key failures from an IP address are tracked under
+ * @param {String} ip IP address logging in
+ * @returns {String} Failure key
+ */
+exports.ipKey = ip => `ip:${ip}`;
+
+/**
+ * Checks that none of the keys are locked out
+ * Throws an error with `retryAfter`, the number of seconds to wait, when one is
+ * @param {String[]} keys Failure keys of the attempt
+ * @returns {Boolean} Attempt allowed
+ */
+exports.check = async (keys) => {
+  const result = await database.query(
+    `SELECT CEIL(EXTRACT(EPOCH FROM MAX("lockedUntil") - CURRENT_TIMESTAMP)) AS "retryAfter"
+    FROM login_failures WHERE key = ANY($1::TEXT[]) AND "lockedUntil" > CURRENT_TIMESTAMP`,
+    [keys],
+  );
+  const { retryAfter } = result.rows[0];
+
+  if (retryAfter) {
+    const err = new Error('Too Many Attempts');
+    err.retryAfter = Math.max(Number(retryAfter), 1);
+    throw err;
+  }
+  return true;
+};
+
+/**
+ * Records a failed attempt against a key
+ * Reaching the threshold locks the key out, progressive keys are also delayed before then,
+ * with each failure doubling the delay before the next attempt
+ * @param {String} key Failure key
+ * @param {Number} threshold Number of failures that lock the key out
+ * @param {Boolean} progressive Whether failures below the threshold delay the next attempt
+ * @returns {void}
+ */
+const _recordFailure = async (key, threshold, progressive) => {
+  const { delaySeconds, lockoutDuration, failureWindow } = config.loginLockout;
+
+  // Failures older than the window are forgotten
+  const result = await database.query(
+    `INSERT INTO login_failures AS failure (key, failures) VALUES ($1, 1)
+    ON CONFLICT (key) DO UPDATE SET
+      failures = CASE
+        WHEN failure."lastFailedAt" < CURRENT_TIMESTAMP - $2::INTERVAL THEN 1
+        ELSE failure.failures + 1
+      END,
+      "lastFailedAt" = CURRENT_TIMESTAMP
+    RETURNING failures`,
+    [key, failureWindow],
+  );
+
+  if (!progressive && result.rows[0].failures < threshold) {
+    return;
+  }
+
+  await database.query(
+    `UPDATE login_failures SET "lockedUntil" = CURRENT_TIMESTAMP + CASE
+      WHEN failures >= $2 THEN $3::INTERVAL
+      ELSE LEAST(MAKE_INTERVAL(secs => $4::DOUBLE PRECISION * 2 ^ (failures - 1)), $3::INTERVAL)
+    END
+    WHERE key = $1`,
+    [key, threshold, lockoutDuration, delaySeconds],
+  );
+};
+
+/**
+ * Records a failed login attempt
+ * @param {Object} params Attempt parameters
+ * @param {String} params.email Email being logged in to
+ * @param {String} params.ip (optional) IP address logging in
+ * @returns {Boolean} Record successful
+ */
+exports.recordFailure = async ({ email, ip = null }) => {
+  const { accountThreshold, ipThreshold, failureWindow } = config.loginLockout;
+
+  await _recordFailure(exports.accountKey(email), accountThreshold, true);
+  if (ip) {
+    // Many users can share an IP address, so it is only locked out once it reaches the threshold
+    await _recordFailure(exports.ipKey(ip), ipThreshold, false);
+  }
+
+  // Clear out failures that have been forgotten
+  await database.query(
+    `DELETE FROM login_failures
+    WHERE "lastFailedAt" < CURRENT_TIMESTAMP - $1::INTERVAL
+      AND ("lockedUntil" IS NULL OR "lockedUntil" < CURRENT_TIMESTAMP)`,
+    [failureWindow],
+  );
+
+  return true;
+};
+
+/**
+ * Clears the failed attempts against an account, unlocking it
+ * @param {String} email Email of the account
+ * @returns {Boolean} Clear successful
+ */
+exports.clear = async (email) => {
+  await database.query('DELETE FROM login_failures WHERE key = $1', [exports.accountKey(email)]);
+  return true;
+};
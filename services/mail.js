@@ -0,0 +1,86 @@
+/**
+ * Mail Service
+ *
+ * Sends email using the configured mail driver
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+const config = require.main.require('./config');
+
+const _writeFile = util.promisify(fs.writeFile);
+const _mkdir = util.promisify(fs.mkdir);
+
+/**
+ * @object
+ * Available mail drivers
+ * Each driver can `send` a message, which has `from`, `to`, `subject` and `text`
+ */
+const _drivers = {
+  // Sends messages through an SMTP server, options are passed to nodemailer
+  smtp: {
+    send: async (options, message) => {
+      const transport = nodemailer.createTransport(options);
+      await transport.sendMail(message);
+    },
+  },
+  // Writes each message to a file in a directory, for local testing
+  file: {
+    send: async (options, message) => {
+      const directory = path.resolve(options.directory);
+      try {
+        await _mkdir(directory, { recursive: true });
+      } catch (err) {
+        if (err.code !== 'EEXIST') {
+          throw err;
+        }
+      }
+
+      const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+      await _writeFile(path.resolve(directory, filename), JSON.stringify(message, null, 2));
+    },
+  },
+  // Logs each message, for local testing
+  console: {
+    send: async (options, message) => {
+      console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    },
+  },
+};
+
+/**
+ * Registers an additional mail driver, which can then be selected with `mail.driver`
+ * @param {String} name Driver's name
+ * @param {Object} driver Driver implementing `send`
+ * @returns {void}
+ */
+exports.registerDriver = (name, driver) => {
+  _drivers[name] = driver;
+};
+
+/**
+ * Sends an email
+ * @param {Object} params Message parameters
+ * @param {String} params.to Recipient's email address
+ * @param {String} params.subject Message's subject
+ * @param {String} params.text Message's plain text body
+ * @returns {Boolean} Send successful
+ */
+exports.send = async ({ to, subject, text }) => {
+  const { driver = 'console', from } = config.mail;
+  if (!_drivers[driver]) {
+    throw new Error(`Unknown Mail Driver: ${driver}`);
+  }
+
+  await _drivers[driver].send(config.mail[driver] || {}, {
+    from,
+    to,
+    subject,
+    text,
+  });
+  return true;
+};
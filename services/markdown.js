@@ -0,0 +1,179 @@
+/**
+ * Markdown Service
+ *
+ * Renders Markdown into sanitized HTML, with a table of contents and reading stats
+ */
+
+const _ = require('lodash');
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+const { slugify } = require('transliteration');
+
+const config = require.main.require('./config');
+
+/**
+ * @object
+ * Markdown parser, raw HTML is allowed as the output is sanitized
+ */
+const _markdown = new MarkdownIt({
+  html: true,
+  linkify: true,
+});
+
+/**
+ * @object
+ * Sanitizer options, only allowing tags and attributes that Markdown can produce
+ */
+const _sanitizeOptions = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote', 'pre', 'code',
+    'em', 'strong', 'b', 'i', 'del', 's', 'sup', 'sub', 'a', 'img', 'ul', 'ol', 'li',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td',
+  ],
+  allowedAttributes: {
+    a: ['href', 'title'],
+    img: ['src', 'alt', 'title'],
+    code: ['class'],
+    ol: ['start'],
+    th: ['style'],
+    td: ['style'],
+    h1: ['id'],
+    h2: ['id'],
+    h3: ['id'],
+    h4: ['id'],
+    h5: ['id'],
+    h6: ['id'],
+  },
+  allowedStyles: {
+    '*': {
+      'text-align': [/^(left|right|center)$/],
+    },
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: {
+    img: ['http', 'https'],
+  },
+  transformTags: {
+    // Keep the language of code blocks, so clients can highlight them
+    code: (tagName, attribs) => ({
+      tagName,
+      attribs: /^language-[\w-]+$/.test(attribs.class) ? { class: attribs.class } : {},
+    }),
+  },
+};
+
+/**
+ * Finds the text of an inline token, leaving out any markup
+ * @param {Object} token Markdown-it inline token
+ * @param {String} separator Text to join the parts of the token with
+ * @returns {String} Text
+ */
+const _inlineText = (token, separator) => token.children
+  .filter(child => child.type === 'text' || child.type === 'code_inline')
+  .map(child => child.content)
+  .join(separator);
+
+/**
+ * Finds the plain text of an inline token
+ * Its HTML is rendered and every tag stripped, so raw HTML such as scripts is left out entirely
+ * @param {Object} token Markdown-it inline token
+ * @returns {String} Text
+ */
+const _plainText = token => _.unescape(sanitizeHtml(
+  _markdown.renderer.renderInline(token.children, _markdown.options, {}),
+  { allowedTags: [], allowedAttributes: {} },
+));
+
+/**
+ * Gives each heading an id, and adds them to the table of contents in the render environment
+ * Headings with the same text are given numbered ids, e.g. `setup-2`
+ * @param {Object} state Markdown-it core state
+ * @returns {void}
+ */
+const _headingIds = (state) => {
+  const used = {};
+
+  state.tokens.forEach((token, index) => {
+    if (token.type !== 'heading_open') {
+      return;
+    }
+
+    const text = _inlineText(state.tokens[index + 1], '');
+
+    const slug = slugify(text, { lowercase: true, separator: '-' }) || 'section';
+    let id = slug;
+    let suffix = 1;
+    while (used[id]) {
+      suffix++;
+      id = `${slug}-${suffix}`;
+    }
+    used[id] = true;
+
+    token.attrSet('id', id);
+    state.env.toc.push({ level: Number(token.tag.slice(1)), text, id });
+  });
+};
+
+_markdown.core.ruler.push('heading_ids', _headingIds);
+
+/**
+ * Counts the words in parsed Markdown, including code
+ * @param {Object[]} tokens Markdown-it tokens
+ * @returns {Number} Number of words
+ */
+const _countWords = tokens => tokens.reduce((count, token) => {
+  let text = '';
+  if (token.type === 'inline') {
+    text = _inlineText(token, ' ');
+  } else if (token.type === 'fence' || token.type === 'code_block') {
+    text = token.content;
+  }
+
+  return count + text.split(/\s+/).filter(word => /\w/.test(word)).length;
+}, 0);
+
+/**
+ * Builds a plain text excerpt from the paragraphs of parsed Markdown
+ * Long excerpts are cut at the last whole word that fits, and end with an ellipsis
+ * @param {Object[]} tokens Markdown-it tokens
+ * @returns {String} Excerpt, empty when there are no paragraphs
+ */
+const _excerpt = (tokens) => {
+  const text = tokens
+    .filter((token, index) => token.type === 'inline' && tokens[index - 1].type === 'paragraph_open')
+    .map(_plainText)
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (text.length <= config.excerptLength) {
+    return text;
+  }
+
+  // Leave room for the ellipsis
+  const cut = text.slice(0, config.excerptLength).replace(/\s+\S*$/, '');
+  return `${cut || text.slice(0, config.excerptLength - 1)}…`;
+};
+
+/**
+ * Renders Markdown into sanitized HTML
+ * @param {String} content Markdown to render
+ * @returns {Object} Rendered `html`, the `toc` (table of contents) listing each heading's
+ * `level`, `text` and `id`, a plain text `excerpt`, the `wordCount`,
+ * and the `readingTime` in minutes
+ */
+exports.render = (content) => {
+  const env = { toc: [] };
+  const tokens = _markdown.parse(content || '', env);
+  const unsafeHtml = _markdown.renderer.render(tokens, _markdown.options, env);
+  const html = sanitizeHtml(unsafeHtml, _sanitizeOptions);
+
+  const wordCount = _countWords(tokens);
+  return {
+    html,
+    toc: env.toc,
+    excerpt: _excerpt(tokens),
+    wordCount,
+    readingTime: Math.ceil(wordCount / config.wordsPerMinute),
+  };
+};
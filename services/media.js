@@ -0,0 +1,382 @@
+/**
+ * Media Service
+ *
+ * Manages all actions related to uploaded Media
+ */
+
+const fs = require('fs');
+const util = require('util');
+const sizeOf = require('image-size');
+
+const database = require.main.require('./services/database');
+const QueryService = require.main.require('./services/query');
+const StorageService = require.main.require('./services/storage');
+const config = require.main.require('./config');
+
+const _stat = util.promisify(fs.stat);
+const _unlink = util.promisify(fs.unlink);
+
+/**
+ * @object
+ * Mime types of the image formats that dimensions are read from
+ */
+const _imageTypes = {
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  bmp: 'image/bmp',
+  tiff: 'image/tiff',
+};
+
+/**
+ * @string
+ * Columns selected when fetching media
+ */
+const _mediaColumns = `
+    media.id AS id,
+    filename,
+    url,
+    mime,
+    size,
+    width,
+    height,
+    uploader,
+    "firstName" AS "uploaderFirstName",
+    "lastName" AS "uploaderLastName",
+    media."createdAt" AS "createdAt",
+    media."updatedAt" AS "updatedAt"
+`;
+
+/**
+ * @object
+ * Columns media can be sorted by
+ */
+const _sortColumns = {
+  id: 'media.id',
+  filename: 'media.filename',
+  mime: 'media.mime',
+  size: 'media.size',
+  createdAt: 'media."createdAt"',
+};
+
+/**
+ * Prepares the table for use
+ * @returns {void}
+ */
+exports.init = async () => {
+  await StorageService.init();
+
+  await database.query(`CREATE TABLE IF NOT EXISTS media (
+    id SERIAL PRIMARY KEY,
+    key TEXT NOT NULL UNIQUE,
+    filename CITEXT NOT NULL,
+    url TEXT NOT NULL,
+    mime TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    width INTEGER DEFAULT NULL,
+    height INTEGER DEFAULT NULL,
+    uploader INTEGER REFERENCES users(id) NOT NULL,
+    "createdAt" TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    "deletedAt" TIMESTAMP WITH TIME ZONE DEFAULT NULL
+  )`);
+
+  // Create index for search on filename
+  await database.query(`CREATE INDEX IF NOT EXISTS index_media_filename ON media using
+  gin((filename) gin_trgm_ops);`);
+};
+
+/**
+ * Stores an uploaded file and creates its media record
+ * The uploaded file is removed once it has been stored
+ * @param {Object} params New media parameters
+ * @param {String} params.source Path of the uploaded file
+ * @param {String} params.filename Uploaded file's original name
+ * @param {String} params.mime Uploaded file's mime type
+ * @param {Number} params.uploader User uploading the file
+ * @returns {Media} Created media
+ */
+exports.create = async ({
+  source,
+  filename,
+  mime,
+  uploader,
+}) => {
+  if (!source || !filename || !mime || !uploader) {
+    throw new Error('Invalid Create Payload Provided');
+  }
+
+  try {
+    let type = mime;
+    let width = null;
+    let height = null;
+
+    if (type.startsWith('image/')) {
+      // Read the dimensions of images, which also confirms their format
+      try {
+        const dimensions = sizeOf(source);
+        type = _imageTypes[dimensions.type];
+        ({ width, height } = dimensions);
+      } catch (err) {
+        throw new Error('Invalid Media Type');
+      }
+    }
+
+    if (!config.allowedMediaTypes.includes(type)) {
+      throw new Error('Invalid Media Type');
+    }
+
+    const { size } = await _stat(source);
+    const key = StorageService.createKey(filename);
+    const url = await StorageService.save(source, key);
+
+    try {
+      const result = await database.query(
+        `INSERT INTO media(key, filename, url, mime, size, width, height, uploader)
+        VALUES($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING id, filename, url, mime, size, width, height, uploader, "createdAt", "updatedAt"`,
+        [key, filename, url, type, size, width, height, uploader],
+      );
+      return result.rows[0];
+    } catch (err) {
+      // Don't leave the stored file behind without a record
+      await StorageService.remove(key);
+      throw err;
+    }
+  } finally {
+    await _unlink(source).catch(() => {});
+  }
+};
+
+/**
+ * Fetches a single media record
+ * @param {String} condition SQL condition identifying the media
+ * @param {Array} values Values for the condition
+ * @param {Object} options Find options
+ * @param {Boolean} options.paranoid (optional) Whether to omit deleted records, defaults to true
+ * @returns {Media} Found media
+ */
+const _findOne = async (condition, values, { paranoid = true } = { paranoid: true }) => {
+  let query = `SELECT ${_mediaColumns}, key
+    FROM media
+    LEFT JOIN users ON media.uploader = users.id
+    WHERE ${condition}
+  `;
+
+  if (paranoid) {
+    query += ' AND media."deletedAt" IS NULL';
+  }
+
+  const result = await database.query(query, values);
+  const media = result.rows[0];
+
+  if (!media) {
+    // No Media found
+    throw new Error('No Record Found');
+  }
+  return media;
+};
+
+/**
+ * Fetches a single media record by id
+ * @param {Number} id Media's id
+ * @param {Object} options Find options
+ * @param {Boolean} options.paranoid (optional) Whether to omit deleted records, defaults to true
+ * @returns {Media} Found media
+ */
+exports.findOneById = (id, options) => _findOne('media.id = $1', [id], options);
+
+/**
+ * Fetches a single media record by the key its file is stored under
+ * @param {String} key Media's storage key
+ * @param {Object} options Find options
+ * @param {Boolean} options.paranoid (optional) Whether to omit deleted records, defaults to true
+ * @returns {Media} Found media
+ */
+exports.findOneByKey = (key, options) => _findOne('media.key = $1', [key], options);
+
+/**
+ * Fetches media
+ * @param {Object} parameters (optional) Search parameters
+ * @param {String} params.searchText (optional) Text to search filenames against
+ * @param {String} params.type (optional) Mime type, or the start of one such as `image/`
+ * @param {Number} params.uploader (optional) Uploader to search for
+ * @param {Object} options (optional) Search options
+ * @param {Boolean} options.paranoid (optional) Whether to omit deleted records, defaults to true
+ * @param {Number} options.limit (optional) Maximum number of records to return,
+ * defaults to no limit
+ * @param {Number} options.offset (optional) Number of records to skip over, defaults to 0
+ * @param {String} options.orderBy (optional) Comma separated columns to sort records by,
+ * prefixed with `-` to sort descending, defaults to id
+ * @param {Array} options.cursor (optional) Sort values of the record to continue after,
+ * an empty array starts from the beginning. Results include the next `cursor` instead of a `count`
+ * @returns {Object} Found media, and the total count or next cursor
+ */
+exports.search = async (
+  {
+    searchText,
+    type,
+    uploader,
+  } = {},
+  {
+    paranoid = true,
+    limit = null,
+    offset = 0,
+    orderBy = 'id',
+    cursor = null,
+  } = {
+    paranoid: true,
+    limit: null,
+    offset: 0,
+    orderBy: 'id',
+    cursor: null,
+  },
+) => {
+  // Sort by the requested columns
+  const sorts = QueryService.parseSort(orderBy, _sortColumns);
+
+  const cursorColumn = cursor ? `, ${QueryService.cursorColumn(sorts)}` : '';
+  let query = `SELECT ${_mediaColumns}${cursorColumn}
+    FROM media
+    LEFT JOIN users ON media.uploader = users.id`;
+
+  let countQuery = 'SELECT COUNT(*) FROM media';
+
+  const values = [];
+  const where = [];
+
+  if (searchText) {
+    values.push(searchText);
+    where.push(`(filename) LIKE concat('%',(TEXT($${values.length})),'%')`);
+  }
+
+  if (type) {
+    values.push(type);
+    where.push(`mime LIKE concat((TEXT($${values.length})),'%')`);
+  }
+
+  if (uploader) {
+    values.push(uploader);
+    where.push(`media.uploader = $${values.length}`);
+  }
+
+  if (paranoid) {
+    where.push('media."deletedAt" IS NULL');
+  }
+
+  if (cursor && cursor.length) {
+    where.push(QueryService.keyset(sorts, cursor, values));
+  }
+
+  if (where.length) {
+    const whereClause = ` WHERE ${where.join(' AND ')}`;
+    query += whereClause;
+    countQuery += whereClause;
+  }
+
+  // Count the total records before limit and offset
+  // Keyset pagination skips counting, which gets slow on large tables
+  const countResult = cursor ? null : await database.query(countQuery, values);
+
+  query += QueryService.orderBy(sorts);
+
+  if (limit) {
+    // Keyset pagination fetches an extra record to find out if there is another page
+    values.push(cursor ? limit + 1 : limit);
+    query += ` LIMIT $${values.length}`;
+  }
+
+  if (offset && !cursor) {
+    values.push(offset);
+    query += ` OFFSET $${values.length}`;
+  }
+
+  const results = await database.query(
+    query,
+    values,
+  );
+
+  if (cursor) {
+    const page = QueryService.cursorPage(results.rows, limit);
+    return {
+      media: page.rows,
+      cursor: page.cursor,
+    };
+  }
+
+  return {
+    media: results.rows,
+    count: countResult.rows[0].count,
+  };
+};
+
+/**
+ * Deletes a media record by id
+ * The stored file is kept until the record is permanently deleted
+ * @param {Number} id Media's id
+ * @returns {Boolean} Update successful
+ */
+exports.softDelete = async (id) => {
+  const result = await database.query(
+    'UPDATE media SET "deletedAt" = CURRENT_TIMESTAMP, "updatedAt" = CURRENT_TIMESTAMP WHERE id = $1 AND "deletedAt" IS NULL',
+    [id],
+  );
+  if (result.rowCount === 0) {
+    throw new Error('No Records Updated');
+  }
+
+  return true;
+};
+
+/**
+ * Permanently deletes a media record by id, along with its stored file
+ * Posts using it as their featured image are left without one
+ * @param {Number} id Media's id
+ * @returns {Boolean} Delete successful
+ */
+exports.hardDelete = async (id) => {
+  const key = await database.transaction(async (client) => {
+    const found = await client.query('SELECT key FROM media WHERE id = $1 FOR UPDATE', [id]);
+    const media = found.rows[0];
+
+    if (!media) {
+      throw new Error('No Records Updated');
+    }
+
+    await client.query('UPDATE posts SET "featuredImage" = NULL WHERE "featuredImage" = $1', [id]);
+    await client.query('DELETE FROM media WHERE id = $1', [id]);
+    return media.key;
+  });
+
+  // The file is only removed once nothing refers to it
+  await StorageService.remove(key);
+
+  return true;
+};
+
+/**
+ * Permanently deletes media that has been deleted for longer than a retention period
+ * @param {String} retention How long deleted media is kept, such as `30 days`
+ * @returns {Number} Number of media records purged
+ */
+exports.purgeTrash = async (retention) => {
+  const result = await database.query(
+    'SELECT id FROM media WHERE "deletedAt" < CURRENT_TIMESTAMP - $1::INTERVAL',
+    [retention],
+  );
+
+  let purged = 0;
+  await Promise.each(result.rows, ({ id }) => exports.hardDelete(id)
+    .then(() => {
+      purged += 1;
+    })
+    .catch((err) => {
+      // Skip media that was already purged
+      if (err.message !== 'No Records Updated') {
+        throw err;
+      }
+    }));
+
+  return purged;
+};
@@ -7,44 +7,46 @@
 const Boom = require('boom');
 
 const AuthenticationService = require.main.require('./services/authentication');
+const UserService = require.main.require('./services/user');
+const config = require.main.require('./config');
 
 /**
- * Determines if a user has admin permissions
- * @param {Object} request Request object, to check user id
- * @returns {Boolean|Boom} True if the user has admin permissions, Boom otherwise
+ * Creates a pre-handler requiring the user to have a permission
+ * @param {String} permission Name of the permission, such as `posts:publish`
+ * @returns {Function} Pre-handler returning true if the user has the permission, Boom otherwise
  */
-exports.hasAdminPermissions = async (request) => {
-  const hasPermission = await AuthenticationService.hasAdminPermissions(request.auth.credentials.id);
-  if (!hasPermission) {
-    return Boom.unauthorized('Admin access required to access this content.');
-  }
-
-  return true;
+exports.requirePermission = (permission) => {
+  const method = async (request) => {
+    const hasPermission = await AuthenticationService.hasPermission(
+      request.auth.credentials,
+      permission,
+    );
+    if (!hasPermission) {
+      return Boom.unauthorized(`The ${permission} permission is required to access this content.`);
+    }
+
+    return true;
+  };
+
+  // Keep the permission, so documentation can describe it
+  method.permission = permission;
+  return method;
 };
 
 /**
- * Determines if a user has editor permissions
- * @param {Object} request Request object, to check user id
- * @returns {Boolean|Boom} True if the user has editor permissions, Boom otherwise
+ * Creates a pre-handler requiring the user to have verified their email,
+ * when the action is configured in `requireVerifiedEmail`
+ * @param {String} action Name of the action in `requireVerifiedEmail`, such as `comments`
+ * @returns {Function} Pre-handler returning true if the user can continue, Boom otherwise
  */
-exports.hasEditorPermissions = async (request) => {
-  const hasPermission = await AuthenticationService.hasEditorPermissions(request.auth.credentials.id);
-  if (!hasPermission) {
-    return Boom.unauthorized('Editor access required to access this content.');
+exports.requireVerifiedEmail = action => async (request) => {
+  if (!config.requireVerifiedEmail[action]) {
+    return true;
   }
 
-  return true;
-};
-
-/**
- * Determines if a user has author permissions
- * @param {Object} request Request object, to check user id
- * @returns {Boolean|Boom} True if the user has author permissions, Boom otherwise
- */
-exports.hasAuthorPermissions = async (request) => {
-  const hasPermission = await AuthenticationService.hasAuthorPermissions(request.auth.credentials.id);
-  if (!hasPermission) {
-    return Boom.unauthorized('Author access required to access this content.');
+  const verified = await UserService.hasVerifiedEmail(request.auth.credentials.id);
+  if (!verified) {
+    return Boom.forbidden('A verified email is required to access this content.');
   }
 
   return true;
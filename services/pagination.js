@@ -0,0 +1,167 @@
+/**
+ * Pagination Service
+ *
+ * Provides helpers shared by routes that return lists of records
+ */
+
+const Joi = require('joi');
+const crypto = require('crypto');
+const querystring = require('querystring');
+
+const config = require.main.require('./config');
+
+/**
+ * @object
+ * Query validation keys for paginated routes
+ */
+exports.schema = {
+  limit: Joi.number().integer().min(1).max(config.maxPageSize),
+  skip: Joi.number().integer().min(0),
+  page: Joi.number().integer().min(1),
+  per_page: Joi.number().integer().min(1).max(config.maxPageSize),
+  cursor: Joi.string().allow(''),
+};
+
+/**
+ * Converts base64 into URL safe base64
+ * @param {String} value Base64 encoded value
+ * @returns {String} URL safe value
+ */
+const _urlSafe = value => value.replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+/**
+ * Signs a cursor payload
+ * @param {String} payload Encoded payload to sign
+ * @returns {String} Signature
+ */
+const _sign = payload => _urlSafe(crypto.createHmac('sha256', config.jwtSecret).update(payload).digest('base64'));
+
+/**
+ * Creates an opaque cursor token
+ * @param {Array} values Sort values of the last record on the page
+ * @param {String} orderBy Sort the values belong to
+ * @returns {String} Signed cursor token
+ */
+exports.createCursor = (values, orderBy) => {
+  const payload = _urlSafe(Buffer.from(JSON.stringify({ orderBy, values })).toString('base64'));
+  return `${payload}.${_sign(payload)}`;
+};
+
+/**
+ * Verifies and decodes a cursor token
+ * @param {String} token Cursor token from `createCursor`
+ * @param {String} orderBy Sort requested alongside the cursor, must match the cursor's
+ * @returns {Array} Sort values of the record to continue after
+ */
+exports.parseCursor = (token, orderBy) => {
+  const [payload = '', signature = ''] = token.split('.');
+  const expected = _sign(payload);
+  if (signature.length !== expected.length
+    || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw new Error('Invalid Cursor');
+  }
+
+  // Node understands URL safe base64 when decoding
+  const decoded = JSON.parse(Buffer.from(payload, 'base64').toString());
+  if (decoded.orderBy !== orderBy || !Array.isArray(decoded.values)) {
+    throw new Error('Invalid Cursor');
+  }
+
+  return decoded.values;
+};
+
+/**
+ * Determines the limit and offset to search with
+ * `limit` and `skip` take priority over `page` and `per_page` when provided.
+ * Providing a `cursor`, even an empty one, switches to keyset pagination instead.
+ * @param {Object} query Validated request query
+ * @returns {Object} Search options with `limit` and `offset`, plus `page` when page based,
+ * or `limit` and `cursor` when cursor based
+ */
+exports.getOptions = (query) => {
+  if (typeof query.cursor === 'string') {
+    return {
+      limit: query.per_page || query.limit || config.defaultPageSize,
+      cursor: query.cursor ? exports.parseCursor(query.cursor, query.order_by) : [],
+    };
+  }
+
+  if (Number.isInteger(query.limit) || Number.isInteger(query.skip)) {
+    return {
+      limit: query.limit || config.defaultPageSize,
+      offset: query.skip || 0,
+    };
+  }
+
+  const page = query.page || 1;
+  const perPage = query.per_page || config.defaultPageSize;
+  return {
+    limit: perPage,
+    offset: (page - 1) * perPage,
+    page,
+  };
+};
+
+/**
+ * Builds a link to the current route with some query values replaced
+ * @param {Object} request Request object, to build the link from
+ * @param {Object} values Query values to replace
+ * @returns {String} Absolute link
+ */
+const _buildLink = (request, values) => {
+  const query = querystring.stringify({ ...request.url.query, ...values });
+  return `${request.server.info.protocol}://${request.info.host}${request.path}?${query}`;
+};
+
+/**
+ * Adds the `X-Total-Count` and `Link` headers to a list response
+ * Links follow RFC 5988, with `first`, `prev`, `next` and `last` relations where they apply.
+ * Cursor based responses get an `X-Next-Cursor` header and a `next` link instead.
+ * @param {Object} request Request object, to build links from
+ * @param {Object} response Response object to add headers to
+ * @param {Object} result Search result, with a `count` or a next `cursor`
+ * @param {Object} options Options returned from `getOptions`
+ * @returns {Object} The response
+ */
+exports.setHeaders = (request, response, { count, cursor }, options) => {
+  const { limit, offset, page } = options;
+
+  if (options.cursor) {
+    if (cursor) {
+      const token = exports.createCursor(cursor, request.query.order_by);
+      response.header('X-Next-Cursor', token);
+      response.header('Link', `<${_buildLink(request, { cursor: token })}>; rel="next"`);
+    }
+    return response;
+  }
+
+  const total = Number(count);
+  response.header('X-Total-Count', total);
+
+  const pageCount = Math.max(1, Math.ceil(total / limit));
+  const links = {};
+
+  if (page) {
+    const perPage = limit;
+    links.first = _buildLink(request, { page: 1, per_page: perPage });
+    if (page > 1) {
+      links.prev = _buildLink(request, { page: Math.min(page - 1, pageCount), per_page: perPage });
+    }
+    if (page < pageCount) {
+      links.next = _buildLink(request, { page: page + 1, per_page: perPage });
+    }
+    links.last = _buildLink(request, { page: pageCount, per_page: perPage });
+  } else {
+    links.first = _buildLink(request, { skip: 0, limit });
+    if (offset > 0) {
+      links.prev = _buildLink(request, { skip: Math.max(0, offset - limit), limit });
+    }
+    if (offset + limit < total) {
+      links.next = _buildLink(request, { skip: offset + limit, limit });
+    }
+    links.last = _buildLink(request, { skip: (pageCount - 1) * limit, limit });
+  }
+
+  response.header('Link', Object.keys(links).map(rel => `<${links[rel]}>; rel="${rel}"`).join(', '));
+  return response;
+};
@@ -4,8 +4,284 @@
  * Manages all actions related to Posts
  */
 const _ = require('lodash');
+const { slugify } = require('transliteration');
 
 const database = require.main.require('./services/database');
+const RevisionService = require.main.require('./services/revision');
+const MarkdownService = require.main.require('./services/markdown');
+const QueryService = require.main.require('./services/query');
+
+/**
+ * @object
+ * Fields that can be selected when fetching posts, mapped to their SQL expressions
+ */
+const _fieldColumns = {
+  id: 'posts.id',
+  author: 'posts.author',
+  authorFirstName: 'users."firstName"',
+  authorLastName: 'users."lastName"',
+  title: 'posts.title',
+  description: 'posts.description',
+  content: 'posts.content',
+  contentHtml: 'posts."contentHtml"',
+  excerpt: 'posts.excerpt',
+  toc: 'posts.toc',
+  wordCount: 'posts."wordCount"',
+  readingTime: 'posts."readingTime"',
+  slug: 'posts.slug',
+  template: 'posts.template',
+  status: 'posts.status',
+  published: 'posts.published',
+  publishAt: 'posts."publishAt"',
+  unpublishAt: 'posts."unpublishAt"',
+  category: 'posts.category',
+  categoryName: 'categories.name',
+  categorySlug: 'categories.slug',
+  tags: 'ARRAY(SELECT name FROM tags WHERE tags.post = posts.id ORDER BY name)',
+  featuredImage: 'posts."featuredImage"',
+  featuredImageUrl: `(
+      SELECT url FROM media WHERE media.id = posts."featuredImage" AND media."deletedAt" IS NULL
+    )`,
+  revision: 'posts.revision',
+  updatedBy: 'posts."updatedBy"',
+  commentCount: `(
+      SELECT COUNT(*)::INTEGER FROM comments
+      WHERE comments.post = posts.id AND comments.status = 'approved' AND comments."deletedAt" IS NULL
+    )`,
+  createdAt: 'posts."createdAt"',
+  updatedAt: 'posts."updatedAt"',
+  deletedAt: 'posts."deletedAt"',
+};
+
+/**
+ * @string
+ * Columns selected when fetching posts
+ */
+const _postColumns = QueryService.selectFields(null, _fieldColumns);
+
+/**
+ * @array
+ * Fields that can be selected when searching posts
+ */
+exports.fields = Object.keys(_fieldColumns);
+
+/**
+ * @array
+ * Fields selected when searching posts without requesting any
+ * Full content is left out, as listings rarely need it
+ */
+const _listFields = _.without(exports.fields, 'content', 'contentHtml', 'toc');
+
+/**
+ * @array
+ * Workflow statuses a post moves through
+ */
+exports.statuses = ['draft', 'in_review', 'approved', 'published', 'archived'];
+
+/**
+ * @object
+ * Statuses a post can move to from each status
+ */
+exports.transitions = {
+  draft: ['in_review', 'approved', 'published', 'archived'],
+  in_review: ['draft', 'approved', 'published'],
+  approved: ['draft', 'in_review', 'published'],
+  published: ['draft', 'archived'],
+  archived: ['draft', 'published'],
+};
+
+/**
+ * @string
+ * Condition matching posts that readers can see
+ * Published posts are hidden until their publish date, and after their unpublish date
+ */
+exports.visibleCondition = `(posts.published = TRUE
+  AND (posts."publishAt" IS NULL OR posts."publishAt" <= CURRENT_TIMESTAMP)
+  AND (posts."unpublishAt" IS NULL OR posts."unpublishAt" > CURRENT_TIMESTAMP))`;
+
+/**
+ * @object
+ * Columns posts can be sorted by
+ */
+const _sortColumns = {
+  id: 'posts.id',
+  authorFirstName: 'users."firstName"',
+  authorLastName: 'users."lastName"',
+  title: 'posts.title',
+  template: 'posts.template',
+  category: 'posts.category',
+  status: 'posts.status',
+  published: 'posts.published',
+  publishAt: 'posts."publishAt"',
+  createdAt: 'posts."createdAt"',
+  updatedAt: 'posts."updatedAt"',
+};
+
+/**
+ * @string
+ * Weighted text search document for a post
+ * Titles rank highest, followed by tags, descriptions and finally content
+ */
+const _searchVector = `
+  setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+  setweight(to_tsvector('english', COALESCE(
+    array_to_string(ARRAY(SELECT name FROM tags WHERE tags.post = posts.id), ' '), ''
+  )), 'B') ||
+  setweight(to_tsvector('english', COALESCE(description, '')), 'C') ||
+  setweight(to_tsvector('english', COALESCE(content, '')), 'D')
+`;
+
+/**
+ * Rebuilds the text search document for a post
+ * Needs to be run whenever a post or its tags change
+ * @param {Object} client Database client to run queries with
+ * @param {Number} id Post's id
+ * @returns {void}
+ */
+const _refreshSearchVector = async (client, id) => {
+  await client.query(`UPDATE posts SET "searchVector" = ${_searchVector} WHERE id = $1`, [id]);
+};
+
+/**
+ * Renders a post's content into HTML, for the post's current revision
+ * Needs to be run whenever a post's revision changes
+ * @param {Object} client Database client to run queries with
+ * @param {Number} id Post's id
+ * @returns {void}
+ */
+const _render = async (client, id) => {
+  const result = await client.query('SELECT content, revision FROM posts WHERE id = $1', [id]);
+  const { content, revision } = result.rows[0];
+
+  const rendered = MarkdownService.render(content);
+  await client.query(
+    `UPDATE posts SET "contentHtml" = $1, toc = $2, excerpt = $3, "wordCount" = $4,
+      "readingTime" = $5, "renderedRevision" = $6
+    WHERE id = $7`,
+    [
+      rendered.html, JSON.stringify(rendered.toc), rendered.excerpt, rendered.wordCount,
+      rendered.readingTime, revision, id,
+    ],
+  );
+};
+
+/**
+ * Assigns a slug to a post
+ * Remembers the post's previous slug, and stops the new slug redirecting to any other post
+ * @param {Object} client Database client to run queries with
+ * @param {Number} id Post's id
+ * @param {String} slug Post's new slug
+ * @param {String} previousSlug (optional) Slug the post had before
+ * @returns {void}
+ */
+const _setSlug = async (client, id, slug, previousSlug) => {
+  await client.query('DELETE FROM post_slugs WHERE slug = $1', [slug]);
+
+  if (previousSlug && previousSlug.toLowerCase() !== slug.toLowerCase()) {
+    await client.query(
+      `INSERT INTO post_slugs(slug, post) VALUES($1, $2)
+      ON CONFLICT (slug) DO UPDATE SET post = EXCLUDED.post, "createdAt" = CURRENT_TIMESTAMP`,
+      [previousSlug, id],
+    );
+  }
+};
+
+/**
+ * Finds a slug that no post is using, or has used
+ * Adds the lowest available numeric suffix when the slug is taken, e.g. `my-post-2`
+ * @param {Object} client Database client to run queries with
+ * @param {String} slug Desired slug
+ * @returns {String} Available slug
+ */
+const _findAvailableSlug = async (client, slug) => {
+  const pattern = `^${_.escapeRegExp(slug)}(-[0-9]+)?$`;
+  const result = await client.query(
+    `SELECT slug FROM posts WHERE slug ~* $1
+    UNION SELECT slug FROM post_slugs WHERE slug ~* $1`,
+    [pattern],
+  );
+
+  const taken = result.rows.map(row => row.slug.toLowerCase());
+  if (!taken.includes(slug.toLowerCase())) {
+    return slug;
+  }
+
+  let suffix = 2;
+  while (taken.includes(`${slug}-${suffix}`.toLowerCase())) {
+    suffix++;
+  }
+  return `${slug}-${suffix}`;
+};
+
+/**
+ * Ensures a featured image exists and is an image
+ * @param {Object} client Database client to run queries with
+ * @param {Number} featuredImage (optional) Media id of the featured image
+ * @returns {void}
+ */
+const _checkFeaturedImage = async (client, featuredImage) => {
+  if (!featuredImage) {
+    return;
+  }
+
+  const result = await client.query(
+    'SELECT id FROM media WHERE id = $1 AND mime LIKE $2 AND "deletedAt" IS NULL',
+    [featuredImage, 'image/%'],
+  );
+  if (result.rowCount === 0) {
+    throw new Error('Invalid Featured Image');
+  }
+};
+
+/**
+ * Finds the category a post should be placed in
+ * Locks the category, so it can not be deleted while the post is being saved
+ * @param {Object} client Database client to run queries with
+ * @param {Number} category (optional) Id of the requested category, the default category if omitted
+ * @returns {Number} Category id
+ */
+const _resolveCategory = async (client, category) => {
+  const result = category
+    ? await client.query('SELECT id FROM categories WHERE id = $1 AND "deletedAt" IS NULL FOR SHARE', [category])
+    : await client.query('SELECT id FROM categories WHERE "isDefault" AND "deletedAt" IS NULL FOR SHARE');
+
+  if (result.rowCount === 0) {
+    throw new Error('Invalid Category');
+  }
+  return result.rows[0].id;
+};
+
+/**
+ * @array
+ * Fields that are tracked by revisions
+ */
+const _revisedFields = ['title', 'description', 'content', 'tags'];
+
+/**
+ * Removes blank and duplicate tags
+ * @param {String[]} tags Tags to clean up
+ * @returns {String[]} Cleaned tags
+ */
+const _normalizeTags = tags => _.uniq((tags || []).map(tag => tag.trim()).filter(tag => tag));
+
+/**
+ * Replaces the tags associated with a post
+ * @param {Object} client Database client to run queries with
+ * @param {Number} id Post's id
+ * @param {String[]} tags Tags to associate with the post
+ * @returns {void}
+ */
+const _setTags = async (client, id, tags) => {
+  await client.query('DELETE FROM tags WHERE post = $1', [id]);
+
+  const names = _normalizeTags(tags);
+  if (names.length) {
+    await client.query(
+      'INSERT INTO tags(post, name) SELECT $1, UNNEST($2::TEXT[]) ON CONFLICT DO NOTHING',
+      [id, names],
+    );
+  }
+};
 
 /**
  * Prepares the table for use
@@ -35,7 +311,118 @@ exports.init = async () => {
     PRIMARY KEY (post, name)
   )`);
 
-  // TODO: Create index for text search
+  // Track the current revision of each post and who made it
+  await database.query(`ALTER TABLE posts
+    ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN IF NOT EXISTS "updatedBy" INTEGER REFERENCES users(id)`);
+
+  // Track who made the current revision and when, as other edits also update the post
+  await database.query(`ALTER TABLE posts
+    ADD COLUMN IF NOT EXISTS "revisedBy" INTEGER REFERENCES users(id),
+    ADD COLUMN IF NOT EXISTS "revisedAt" TIMESTAMP WITH TIME ZONE`);
+  await database.query(`UPDATE posts SET "revisedBy" = "updatedBy", "revisedAt" = "updatedAt"
+    WHERE "revisedAt" IS NULL`);
+  await database.query('ALTER TABLE posts ALTER COLUMN "revisedAt" SET DEFAULT CURRENT_TIMESTAMP');
+
+  // Track where each post is in the editorial workflow
+  // `published` is kept for compatibility, and is only true for published posts
+  await database.query(`ALTER TABLE posts
+    ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('${exports.statuses.join("', '")}'))`);
+  await database.query("UPDATE posts SET status = 'published' WHERE published AND status = 'draft'");
+
+  // Allow posts to be published and unpublished on a schedule
+  await database.query(`ALTER TABLE posts
+    ADD COLUMN IF NOT EXISTS "publishAt" TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    ADD COLUMN IF NOT EXISTS "unpublishAt" TIMESTAMP WITH TIME ZONE DEFAULT NULL`);
+  await database.query('CREATE INDEX IF NOT EXISTS index_posts_publish_at ON posts ("publishAt")');
+
+  // Posts published before scheduling existed were published when they were created
+  await database.query('UPDATE posts SET "publishAt" = "createdAt" WHERE published AND "publishAt" IS NULL');
+
+  // Allow posts to have a featured image from the media library
+  await database.query(`ALTER TABLE posts
+    ADD COLUMN IF NOT EXISTS "featuredImage" INTEGER REFERENCES media(id) DEFAULT NULL`);
+
+  // Create table of previous slugs, so renamed posts can still be found
+  await database.query(`CREATE TABLE IF NOT EXISTS post_slugs (
+    slug CITEXT PRIMARY KEY,
+    post INTEGER REFERENCES posts(id),
+    "createdAt" TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // Create index for looking up posts by tag
+  await database.query('CREATE INDEX IF NOT EXISTS index_tags_name ON tags (name)');
+
+  // Create index for text search
+  await database.query('ALTER TABLE posts ADD COLUMN IF NOT EXISTS "searchVector" TSVECTOR');
+  await database.query(`CREATE INDEX IF NOT EXISTS index_posts_full_text ON posts using
+    gin("searchVector");`);
+
+  // Store the rendered content of each post, along with the revision it was rendered from
+  await database.query(`ALTER TABLE posts
+    ADD COLUMN IF NOT EXISTS "contentHtml" TEXT DEFAULT NULL,
+    ADD COLUMN IF NOT EXISTS toc JSONB DEFAULT NULL,
+    ADD COLUMN IF NOT EXISTS excerpt TEXT DEFAULT NULL,
+    ADD COLUMN IF NOT EXISTS "wordCount" INTEGER DEFAULT NULL,
+    ADD COLUMN IF NOT EXISTS "readingTime" INTEGER DEFAULT NULL,
+    ADD COLUMN IF NOT EXISTS "renderedRevision" INTEGER DEFAULT NULL`);
+
+  // Render any posts that have not been rendered since their last revision,
+  // or that were rendered before excerpts were added
+  const unrendered = await database.query(`SELECT id FROM posts
+    WHERE "renderedRevision" IS DISTINCT FROM revision OR excerpt IS NULL ORDER BY id`);
+  await Promise.each(unrendered.rows, ({ id }) => _render(database, id));
+
+  // Build the search document for any posts that are missing one
+  await database.query(`UPDATE posts SET "searchVector" = ${_searchVector} WHERE "searchVector" IS NULL`);
+
+  // Deleting a category used to leave its posts behind, so move them to the default category
+  await database.query(`UPDATE posts SET category = (SELECT id FROM categories WHERE "isDefault")
+    FROM categories
+    WHERE categories.id = posts.category AND categories."deletedAt" IS NOT NULL`);
+};
+
+/**
+ * Creates a URL friendly slug from text
+ * Transliterates unicode, lowercases and separates words with hyphens
+ * @param {String} text Text to create a slug from, such as a title
+ * @returns {String} Slug
+ */
+exports.slugify = text => slugify(text, { lowercase: true, separator: '-' }) || 'post';
+
+/**
+ * Checks whether a slug can be used by a new post
+ * @param {String} slug Slug to check
+ * @returns {Object} Whether the slug is `available`, and a `suggestion` that is
+ */
+exports.checkSlug = async (slug) => {
+  const result = await database.query('SELECT id FROM posts WHERE slug = $1', [slug]);
+  const suggestion = await _findAvailableSlug(database, exports.slugify(slug));
+
+  return {
+    slug,
+    available: result.rowCount === 0,
+    suggestion,
+  };
+};
+
+/**
+ * Determines the workflow status a payload asks for
+ * `published` is still accepted, moving posts to the published or draft status
+ * @param {Object} payload Create or update payload
+ * @param {String} payload.status (optional) Requested status
+ * @param {Boolean} payload.published (optional) Whether the post should be published
+ * @returns {String} Requested status, undefined if the payload does not change it
+ */
+exports.resolveStatus = ({ status, published }) => {
+  if (status) {
+    return status;
+  }
+  if (_.isBoolean(published)) {
+    return published ? 'published' : 'draft';
+  }
+  return undefined;
 };
 
 /**
@@ -45,10 +432,14 @@ exports.init = async () => {
  * @param {String} params.title New post's title
  * @param {String} params.description (optional) New post's description
  * @param {String} params.content New post's content
- * @param {Number} params.category New post's category
- * @param {String} params.slug New post's slug
+ * @param {Number} params.category (optional) New post's category, the default category if omitted
+ * @param {String} params.slug (optional) New post's slug, generated from the title if omitted
  * @param {String} params.template (optional) New post's template
- * @param {Boolean} params.published (optional) Whether new post is published
+ * @param {String} params.status (optional) New post's workflow status, defaults to draft
+ * @param {Boolean} params.published (optional) Whether new post is published, instead of a status
+ * @param {Date} params.publishAt (optional) When the post becomes visible, now if published
+ * @param {Date} params.unpublishAt (optional) When the post stops being visible
+ * @param {Number} params.featuredImage (optional) Media id of the post's featured image
  * @param {String[]} params.tags (optional) Tags associated with the post
  * @returns {Post} Created post
  */
@@ -57,86 +448,102 @@ exports.create = async ({
   title,
   description = '',
   content,
-  category,
+  category = null,
   slug,
   template = 'default',
-  published = false,
+  status,
+  published,
+  publishAt = null,
+  unpublishAt = null,
+  featuredImage = null,
   tags = [],
 }) => {
-  if (!author || !title || !content || !category || !slug) {
+  if (!author || !title || !content) {
     throw new Error('Invalid Create Payload Provided');
   }
 
-  const result = await database.query(
-    `INSERT INTO posts(author, title, description, content, category, slug, template, published) VALUES($1, $2, $3, $4, $5, $6, $7, $8)
-    RETURNING id, title, description, content, slug, template, published`,
-    [author, title, description, content, category, slug, template, published],
-  );
+  const postStatus = exports.resolveStatus({ status, published }) || 'draft';
+  const isPublished = postStatus === 'published';
 
-  if (result.rowCount === 0) {
-    throw new Error('No Records Updated');
-  }
+  const insert = () => database.transaction(async (client) => {
+    const postSlug = slug || await _findAvailableSlug(client, exports.slugify(title));
+    const postCategory = await _resolveCategory(client, category);
+
+    await _checkFeaturedImage(client, featuredImage);
+
+    const result = await client.query(
+      `INSERT INTO posts(author, title, description, content, category, slug, template, status,
+        published, "publishAt", "unpublishAt", "featuredImage", "updatedBy", "revisedBy")
+      VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $1, $1)
+      RETURNING id, title, description, content, slug, template, status, published, "publishAt",
+        "unpublishAt", "featuredImage", revision`,
+      [
+        author, title, description, content, postCategory, postSlug, template, postStatus,
+        isPublished, publishAt || (isPublished ? new Date() : null), unpublishAt, featuredImage,
+      ],
+    );
+
+    if (result.rowCount === 0) {
+      throw new Error('No Records Updated');
+    }
+
+    await _setSlug(client, result.rows[0].id, postSlug);
+
+    // Create tags
+    await _setTags(client, result.rows[0].id, tags);
+    await _refreshSearchVector(client, result.rows[0].id);
+    await _render(client, result.rows[0].id);
 
-  // Create tags
-  if (tags) {
-    await Promise.all(tags.map(
-      async tag => (database.query('INSERT INTO tags(post, name) VALUES($1, $2) ON CONFLICT DO NOTHING', [result.rows[0].id, tag])),
-    ));
+    return result.rows[0];
+  });
+
+  let post;
+  try {
+    post = await insert();
+  } catch (err) {
+    if (slug || err.code !== '23505') {
+      throw err;
+    }
+    // Another post claimed the generated slug first, generate another
+    post = await insert();
   }
 
-  return result.rows[0];
+  return {
+    ...post,
+    tags: _normalizeTags(tags).sort(),
+  };
 };
 
 /**
- * Fetches a single post by id
- * @param {Number} id Post's id
+ * Fetches a single post matching a condition
+ * @param {String} condition WHERE condition identifying the post
+ * @param {Array} values Query values used by the condition
  * @param {Object} options Find options
  * @param {Boolean} options.paranoid (optional) Whether to omit deleted records, defaults to true
+ * @param {Boolean} options.trashed (optional) Whether to only find deleted records
+ * @param {Boolean} options.published (optional) Whether to omit hidden posts, defaults to true
  * @returns {Post} Found post
  */
-exports.findOneById = async (
-  id,
-  {
-    paranoid = true,
-    published = true,
-  } = {
-    paranoid: true,
-    published: true,
-  },
+const _findOne = async (
+  condition,
+  values,
+  { paranoid = true, trashed = false, published = true },
 ) => {
-  // Find the post
-  let query = `SELECT
-    posts.id AS id,
-    author,
-    "firstName" AS "authorFirstName",
-    "lastName" AS "authorLastName",
-    title,
-    posts.description AS description,
-    content,
-    slug,
-    template,
-    published,
-    category,
-    categories.name AS "categoryName",
-    posts."createdAt" AS "createdAt",
-    posts."updatedAt" AS "updatedAt"
+  let query = `SELECT ${_postColumns}
     FROM posts
     LEFT JOIN categories ON posts.category = categories.id
     LEFT JOIN users ON posts.author = users.id
-    WHERE posts.id = $1
+    WHERE ${condition}
   `;
 
-  const values = [id];
-
-  // TODO: Handle tags
-
-  if (paranoid) {
+  if (trashed) {
+    query += ' AND posts."deletedAt" IS NOT NULL';
+  } else if (paranoid) {
     query += ' AND posts."deletedAt" IS NULL';
   }
 
   if (published) {
-    values.push(published);
-    query += ` AND "published" = $${values.length}`;
+    query += ` AND ${exports.visibleCondition}`;
   }
 
   const result = await database.query(query, values);
@@ -149,73 +556,185 @@ exports.findOneById = async (
   return post;
 };
 
+/**
+ * Fetches a single post by id
+ * @param {Number} id Post's id
+ * @param {Object} options Find options
+ * @param {Boolean} options.paranoid (optional) Whether to omit deleted records, defaults to true
+ * @param {Boolean} options.trashed (optional) Whether to only find deleted records
+ * @param {Boolean} options.published (optional) Whether to omit unpublished posts, defaults to true
+ * @returns {Post} Found post
+ */
+exports.findOneById = async (
+  id,
+  {
+    paranoid = true,
+    trashed = false,
+    published = true,
+  } = {
+    paranoid: true,
+    trashed: false,
+    published: true,
+  },
+) => _findOne('posts.id = $1', [id], { paranoid, trashed, published });
+
+/**
+ * Fetches a single post by slug
+ * @param {String} slug Post's slug
+ * @param {Object} options Find options
+ * @param {Boolean} options.paranoid (optional) Whether to omit deleted records, defaults to true
+ * @param {Boolean} options.published (optional) Whether to omit unpublished posts, defaults to true
+ * @param {Number} options.category (optional) Category the post must belong to
+ * @returns {Post} Found post
+ */
+exports.findOneBySlug = async (
+  slug,
+  {
+    paranoid = true,
+    published = true,
+    category,
+  } = {
+    paranoid: true,
+    published: true,
+  },
+) => {
+  if (category) {
+    return _findOne('posts.slug = $1 AND posts.category = $2', [slug, category], { paranoid, published });
+  }
+  return _findOne('posts.slug = $1', [slug], { paranoid, published });
+};
+
+/**
+ * Fetches the post that used to have a slug
+ * Slugs are remembered when changed so that old links keep working
+ * @param {String} slug Post's previous slug
+ * @param {Object} options Find options, same as `findOneBySlug`
+ * @returns {Post} Found post, with its current slug
+ */
+exports.findOneByPreviousSlug = async (
+  slug,
+  {
+    paranoid = true,
+    published = true,
+    category,
+  } = {
+    paranoid: true,
+    published: true,
+  },
+) => {
+  const values = [slug];
+  let condition = 'posts.id = (SELECT post FROM post_slugs WHERE post_slugs.slug = $1)';
+
+  if (category) {
+    values.push(category);
+    condition += ` AND posts.category = $${values.length}`;
+  }
+
+  return _findOne(condition, values, { paranoid, published });
+};
+
 /**
  * Fetches posts
  * @param {Object} parameters (optional) Search parameters
- * @param {String} params.searchText (optional) Text to search for
+ * @param {String} params.searchText (optional) Text to search for, results are sorted by relevance
+ * @param {Boolean} params.highlight (optional) Whether to include highlighted snippets of matches
  * @param {String} params.template (optional) Template to search for
- * @param {Number} params.category (optional) Category to search for
- * @param {Boolean} params.published (optional) Whether results should be published
+ * @param {Number[]} params.categories (optional) Ids of categories posts must belong to
+ * @param {Boolean} params.published (optional) Whether results should be visible to readers,
+ * taking their publish and unpublish dates into account
+ * @param {Date} params.publishedAfter (optional) Earliest publish date to search for
+ * @param {Date} params.publishedBefore (optional) Latest publish date to search for
+ * @param {String} params.status (optional) Workflow status to search for
  * @param {Number} params.author (optional) Author to search for
+ * @param {String[]} params.tags (optional) Tags to search for
+ * @param {String} params.tagMode (optional) Match `any` or `all` of the tags, defaults to any
  * @param {Object} options (optional) Search options
  * @param {Boolean} options.paranoid (optional) Whether to omit deleted records, defaults to true
- * @param {Number} options.limit (optional) Maximum number of records to return, defaults to no limit
+ * @param {Boolean} options.trashed (optional) Whether to only return deleted records
+ * @param {Number} options.limit (optional) Maximum number of records to return,
+ * defaults to no limit
  * @param {Number} options.offset (optional) Number of records to skip over, defaults to 0
- * @param {String} options.orderBy (optional) Which column to sort records by, defaults to id
+ * @param {String} options.orderBy (optional) Comma separated columns to sort records by,
+ * prefixed with `-` to sort descending, defaults to id
+ * @param {Array} options.cursor (optional) Sort values of the record to continue after,
+ * an empty array starts from the beginning. Results include the next `cursor` instead of a `count`
+ * @param {String} options.fields (optional) Comma separated fields to select,
+ * defaults to every field besides the post's full content
  * @returns {Post} Found post
  */
 exports.search = async (
   {
     searchText,
+    highlight = false,
     template,
-    category,
+    categories,
     published = true,
+    publishedAfter,
+    publishedBefore,
+    status,
     author,
+    tags,
+    tagMode = 'any',
   },
   {
     paranoid = true,
+    trashed = false,
     limit = null,
     offset = 0,
     orderBy = 'id',
+    cursor = null,
+    fields = null,
   } = {
     paranoid: true,
+    trashed: false,
     limit: null,
     offset: 0,
     orderBy: 'id',
+    cursor: null,
+    fields: null,
   },
 ) => {
-  let query = `SELECT
-    posts.id AS id,
-    author,
-    "firstName" AS "authorFirstName",
-    "lastName" AS "authorLastName",
-    title,
-    posts.description AS description,
-    content,
-    slug,
-    template,
-    published,
-    category,
-    categories.name AS "categoryName",
-    posts."createdAt" AS "createdAt",
-    posts."updatedAt" AS "updatedAt"
-    FROM posts
-    LEFT JOIN categories ON posts.category = categories.id
-    LEFT JOIN users ON posts.author = users.id
-  `;
-
-  // TODO: Handle tags
+  let columns = QueryService.selectFields(fields, _fieldColumns, _listFields);
 
   let countQuery = 'SELECT COUNT(*) FROM posts';
 
   const values = [];
   const where = [];
 
+  let searchQuery;
   if (searchText) {
-    // TODO: Handle searchText
+    values.push(searchText);
+    searchQuery = `plainto_tsquery('english', $${values.length})`;
+    where.push(`posts."searchVector" @@ ${searchQuery}`);
+
+    if (highlight) {
+      columns += `,
+      ${QueryService.headline('title', searchQuery)} AS "titleHighlight",
+      ${QueryService.headline('content', searchQuery, 'MaxFragments=3, MinWords=15, MaxWords=35')}
+        AS "contentHighlight"
+      `;
+    }
+  }
+
+  // Sort by the requested columns, most relevant results come first when searching
+  const sorts = QueryService.parseSort(orderBy, _sortColumns);
+  if (searchQuery) {
+    sorts.unshift({ expression: `ts_rank(posts."searchVector", ${searchQuery})`, descending: true });
+  }
+
+  if (cursor) {
+    columns += `, ${QueryService.cursorColumn(sorts)}`;
   }
 
-  if (paranoid) {
+  let query = `SELECT ${columns}
+    FROM posts
+    LEFT JOIN categories ON posts.category = categories.id
+    LEFT JOIN users ON posts.author = users.id
+  `;
+
+  if (trashed) {
+    where.push('posts."deletedAt" IS NOT NULL');
+  } else if (paranoid) {
     where.push('posts."deletedAt" IS NULL');
   }
 
@@ -224,14 +743,30 @@ exports.search = async (
     where.push(`template = $${values.length}`);
   }
 
-  if (category) {
-    values.push(category);
-    where.push(`category = $${values.length}`);
+  if (categories) {
+    values.push(categories);
+    where.push(`posts.category = ANY($${values.length}::INTEGER[])`);
   }
 
-  if (_.isBoolean(published)) {
-    values.push(published);
-    where.push(`published = $${values.length}`);
+  if (published === true) {
+    where.push(exports.visibleCondition);
+  } else if (published === false) {
+    where.push(`NOT ${exports.visibleCondition}`);
+  }
+
+  if (status) {
+    values.push(status);
+    where.push(`posts.status = $${values.length}`);
+  }
+
+  if (publishedAfter) {
+    values.push(publishedAfter);
+    where.push(`"publishAt" >= $${values.length}`);
+  }
+
+  if (publishedBefore) {
+    values.push(publishedBefore);
+    where.push(`"publishAt" <= $${values.length}`);
   }
 
   if (author) {
@@ -239,6 +774,22 @@ exports.search = async (
     where.push(`author = $${values.length}`);
   }
 
+  const tagNames = _normalizeTags(tags);
+  if (tagNames.length) {
+    values.push(tagNames);
+    if (tagMode === 'all') {
+      values.push(tagNames.length);
+      where.push(`posts.id IN (SELECT post FROM tags WHERE name = ANY($${values.length - 1})
+        GROUP BY post HAVING COUNT(DISTINCT name) = $${values.length})`);
+    } else {
+      where.push(`posts.id IN (SELECT post FROM tags WHERE name = ANY($${values.length}))`);
+    }
+  }
+
+  if (cursor && cursor.length) {
+    where.push(QueryService.keyset(sorts, cursor, values));
+  }
+
   if (where.length) {
     const whereClause = ` WHERE ${where.join(' AND ')}`;
     query += whereClause;
@@ -246,25 +797,18 @@ exports.search = async (
   }
 
   // Count the total records before limit and offset
-  const countResult = await database.query(countQuery, values);
+  // Keyset pagination skips counting, which gets slow on large tables
+  const countResult = cursor ? null : await database.query(countQuery, values);
 
-  // This is technically vulnerable to SQL injection,
-  // but route validation should prevent any attacks.
-  // Unfortunately `pg` does not work with parameters for ORDER BY.
-  const descendingSort = orderBy.startsWith('-');
-  if (descendingSort) {
-    query += ` ORDER BY "${orderBy.substr(1)}" DESC`;
-  } else {
-    query += ` ORDER BY "${orderBy}"`;
-  }
-  // TODO: Handle multiple sorts
+  query += QueryService.orderBy(sorts);
 
   if (limit) {
-    values.push(limit);
+    // Keyset pagination fetches an extra record to find out if there is another page
+    values.push(cursor ? limit + 1 : limit);
     query += ` LIMIT $${values.length}`;
   }
 
-  if (offset) {
+  if (offset && !cursor) {
     values.push(offset);
     query += ` OFFSET $${values.length}`;
   }
@@ -274,15 +818,34 @@ exports.search = async (
     values,
   );
 
+  // Highlights hold raw content, so they are escaped before being marked up
+  let { rows } = results;
+  if (searchQuery && highlight) {
+    rows = rows.map(row => ({
+      ...row,
+      titleHighlight: QueryService.escapeHeadline(row.titleHighlight),
+      contentHighlight: QueryService.escapeHeadline(row.contentHighlight),
+    }));
+  }
+
+  if (cursor) {
+    const page = QueryService.cursorPage(rows, limit);
+    return {
+      posts: page.rows,
+      cursor: page.cursor,
+    };
+  }
+
   return {
-    posts: results.rows,
+    posts: rows,
     count: countResult.rows[0].count,
   };
 };
 
 /**
  * Updates a post with provided values.
- * One of the optional values must be provided
+ * One of the optional values must be provided.
+ * Changing the title, description, content or tags stores the previous revision.
  * @param {Number} id Post's id
  * @param {Object} payload Update post parameters
  * @param {Number} payload.author (optional) Post's new author
@@ -290,24 +853,51 @@ exports.search = async (
  * @param {String} payload.description (optional) Post's new description
  * @param {String} payload.content (optional) Post's new content
  * @param {Number} payload.category (optional) Post's new category
- * @param {String} payload.slug (optional) Post's new slug
+ * @param {String} payload.slug (optional) Post's new slug, the previous slug redirects to the post
  * @param {String} payload.template (optional) Post's new template
- * @param {Boolean} payload.published (optional) Whether post is published
- * @param {String[]} payload.tags (optional) Tags associated with the post
- * @returns {Post} Created post
+ * @param {String} payload.status (optional) Post's new workflow status
+ * @param {Boolean} payload.published (optional) Whether post is published, instead of a status
+ * @param {Date} payload.publishAt (optional) When the post becomes visible
+ * @param {Date} payload.unpublishAt (optional) When the post stops being visible
+ * @param {Number} payload.featuredImage (optional) Media id of the post's featured image, or null
+ * @param {String[]} payload.tags (optional) Replacement set of tags associated with the post
+ * @param {Object} options (optional) Update options
+ * @param {Number} options.editor (optional) Id of the user making the update
+ * @returns {Boolean} Update successful
  */
-exports.update = async (id, payload) => {
+exports.update = async (id, payload, { editor } = {}) => {
   if (!payload) {
     throw new Error('Invalid Update Payload Provided');
   }
 
   const update = { ...payload };
-  // Remove tags from update
+  // Tags live in their own table
+  const { tags } = update;
   delete update.tags;
 
-  // TODO: Handle tags
+  if (editor) {
+    update.updatedBy = editor;
+  }
+
+  // Keep the published flag in sync with the status
+  const status = exports.resolveStatus(update);
+  if (status) {
+    update.status = status;
+    update.published = status === 'published';
+  }
+
+  const revised = _revisedFields.some(field => payload[field] !== undefined);
 
   let query = 'UPDATE posts SET "updatedAt" = CURRENT_TIMESTAMP';
+  if (revised) {
+    // Only revisions are credited to the editor, so other edits leave the history alone
+    query += ', revision = revision + 1, "revisedAt" = CURRENT_TIMESTAMP';
+    update.revisedBy = editor || null;
+  }
+  if (update.published === true && update.publishAt === undefined) {
+    // Posts being published without a date are published now, unless already scheduled
+    query += ', "publishAt" = COALESCE("publishAt", CURRENT_TIMESTAMP)';
+  }
   const values = [];
   Object.keys(update).forEach((key, index) => {
     query += `, "${key}" = $${index + 1}`;
@@ -316,10 +906,57 @@ exports.update = async (id, payload) => {
   values.push(id);
   query += ` WHERE id = $${values.length}`;
 
-  const result = await database.query(query, values);
-  if (result.rowCount === 0) {
-    throw new Error('No Records Updated');
-  }
+  await database.transaction(async (client) => {
+    // Lock the post so the revision and slug being replaced stay current
+    const previous = await client.query('SELECT slug FROM posts WHERE id = $1 FOR UPDATE', [id]);
+    if (previous.rowCount === 0) {
+      throw new Error('No Records Updated');
+    }
+
+    if (update.category) {
+      await _resolveCategory(client, update.category);
+    }
+    await _checkFeaturedImage(client, update.featuredImage);
+
+    if (revised) {
+      await RevisionService.snapshot(client, id);
+    }
+
+    const result = await client.query(query, values);
+    if (result.rowCount === 0) {
+      throw new Error('No Records Updated');
+    }
+
+    if (update.slug) {
+      await _setSlug(client, id, update.slug, previous.rows[0].slug);
+    }
+
+    if (tags) {
+      await _setTags(client, id, tags);
+    }
+    await _refreshSearchVector(client, id);
+
+    if (revised) {
+      await _render(client, id);
+    }
+  });
+
+  return true;
+};
+
+/**
+ * Restores a post to a previous revision
+ * The post's current revision is stored, so restoring can be undone
+ * @param {Number} id Post's id
+ * @param {Number} revision Revision number to restore
+ * @param {Object} options (optional) Update options
+ * @param {Number} options.editor (optional) Id of the user restoring the revision
+ * @returns {Boolean} Restore successful
+ */
+exports.restoreRevision = async (id, revision, { editor } = {}) => {
+  const found = await RevisionService.findOne(id, revision);
+
+  await exports.update(id, _.pick(found, _revisedFields), { editor });
 
   return true;
 };
@@ -334,3 +971,68 @@ exports.softDelete = async (id) => {
 
   return true;
 };
+
+/**
+ * Restores a deleted post by id
+ * @param {Number} id Post's id
+ * @returns {Boolean} Restore successful
+ */
+exports.restore = async (id) => {
+  const result = await database.query(
+    'UPDATE posts SET "deletedAt" = NULL WHERE id = $1 AND "deletedAt" IS NOT NULL',
+    [id],
+  );
+
+  if (result.rowCount === 0) {
+    throw new Error('No Records Updated');
+  }
+
+  return true;
+};
+
+/**
+ * Permanently deletes a post by id, along with its tags, revisions, slugs and comments
+ * @param {Number} id Post's id
+ * @returns {Boolean} Delete successful
+ */
+exports.hardDelete = async (id) => {
+  await database.transaction(async (client) => {
+    await client.query('DELETE FROM tags WHERE post = $1', [id]);
+    await client.query('DELETE FROM post_revisions WHERE post = $1', [id]);
+    await client.query('DELETE FROM post_slugs WHERE post = $1', [id]);
+    await client.query('DELETE FROM comments WHERE post = $1', [id]);
+
+    const result = await client.query('DELETE FROM posts WHERE id = $1', [id]);
+    if (result.rowCount === 0) {
+      throw new Error('No Records Updated');
+    }
+  });
+
+  return true;
+};
+
+/**
+ * Permanently deletes posts that have been deleted for longer than a retention period
+ * @param {String} retention How long deleted posts are kept, such as `30 days`
+ * @returns {Number} Number of posts purged
+ */
+exports.purgeTrash = async (retention) => {
+  const result = await database.query(
+    'SELECT id FROM posts WHERE "deletedAt" < CURRENT_TIMESTAMP - $1::INTERVAL',
+    [retention],
+  );
+
+  let purged = 0;
+  await Promise.each(result.rows, ({ id }) => exports.hardDelete(id)
+    .then(() => {
+      purged += 1;
+    })
+    .catch((err) => {
+      // Skip posts that were already purged
+      if (err.message !== 'No Records Updated') {
+        throw err;
+      }
+    }));
+
+  return purged;
+};
@@ -0,0 +1,201 @@
+/**
+ * Query Service
+ *
+ * Builds SQL clauses shared by the search methods of other services
+ */
+
+const Joi = require('joi');
+const _ = require('lodash');
+
+/**
+ * @string
+ * Characters marking where matches start and stop in headlines, which text never contains
+ */
+const _matchStart = '\u0002';
+const _matchStop = '\u0003';
+
+/**
+ * Creates a validation schema for `order_by` values
+ * Accepts a comma separated list of columns, each optionally prefixed with `-` to sort descending
+ * @param {String[]} columns Names of the columns that can be sorted by
+ * @returns {Object} Joi schema
+ */
+exports.sortSchema = (columns) => {
+  const column = `-?(${columns.map(_.escapeRegExp).join('|')})`;
+  return Joi.string().regex(new RegExp(`^${column}(,${column})*$`), 'sort');
+};
+
+/**
+ * Creates a validation schema for `fields` values
+ * Accepts a comma separated list of field names
+ * @param {String[]} fields Names of the fields that can be selected
+ * @returns {Object} Joi schema
+ */
+exports.fieldsSchema = (fields) => {
+  const field = `(${fields.map(_.escapeRegExp).join('|')})`;
+  return Joi.string().regex(new RegExp(`^${field}(,${field})*$`), 'fields');
+};
+
+/**
+ * Builds the columns to select for a `fields` value
+ * Records always include their id, so that they can be told apart
+ * @param {String} fields (optional) Comma separated fields to select, defaults to `defaults`
+ * @param {Object} columns Map of field names to SQL expressions, must include `id`
+ * @param {String[]} defaults (optional) Fields selected when none are requested,
+ * defaults to every field
+ * @returns {String} Columns to select
+ */
+exports.selectFields = (fields, columns, defaults = Object.keys(columns)) => {
+  const names = fields ? fields.split(',') : defaults;
+
+  // Expressions are inserted into queries directly, so only known fields are allowed
+  names.forEach((name) => {
+    if (!Object.prototype.hasOwnProperty.call(columns, name)) {
+      throw new Error('Invalid Fields');
+    }
+  });
+
+  return _.uniq(['id', ...names])
+    .map(name => `${columns[name]} AS "${name}"`)
+    .join(',\n    ');
+};
+
+/**
+ * Converts an `order_by` value into sorts
+ * Records are always sorted by id last so that their order is stable
+ * @param {String} orderBy Comma separated columns to sort by, `-` prefixed to sort descending
+ * @param {Object} columns Map of sortable column names to SQL expressions, must include `id`
+ * @returns {Object[]} Sorts, each with an `expression` and whether it is `descending`
+ */
+exports.parseSort = (orderBy, columns) => {
+  const sorted = [];
+  const sorts = [];
+
+  orderBy.split(',').forEach((value) => {
+    const descending = value.startsWith('-');
+    const column = descending ? value.substr(1) : value;
+
+    // Expressions are inserted into queries directly, so only known columns are allowed
+    if (!Object.prototype.hasOwnProperty.call(columns, column)) {
+      throw new Error('Invalid Sort');
+    }
+
+    // Sorting by a column again would have no effect
+    if (!sorted.includes(column)) {
+      sorted.push(column);
+      sorts.push({ expression: columns[column], descending });
+    }
+  });
+
+  if (!sorted.includes('id')) {
+    sorts.push({ expression: columns.id, descending: false });
+  }
+
+  return sorts;
+};
+
+/**
+ * Builds an ORDER BY clause
+ * Nulls always sort last so that keyset pagination can rely on their position
+ * @param {Object[]} sorts Sorts from `parseSort`
+ * @returns {String} ORDER BY clause
+ */
+exports.orderBy = sorts => ` ORDER BY ${sorts.map(({ expression, descending }) => (
+  `${expression} ${descending ? 'DESC' : 'ASC'} NULLS LAST`
+)).join(', ')}`;
+
+/**
+ * Builds a column holding the values a record was sorted by
+ * Values are selected as text so that nothing is lost, such as timestamp precision
+ * @param {Object[]} sorts Sorts from `parseSort`
+ * @returns {String} Column to select, named `_cursor`
+ */
+exports.cursorColumn = sorts => (
+  `ARRAY[${sorts.map(({ expression }) => `(${expression})::TEXT`).join(', ')}] AS "_cursor"`
+);
+
+/**
+ * Builds a condition matching records that sort after a cursor
+ * @param {Object[]} sorts Sorts from `parseSort`
+ * @param {Array} cursor Values of the last record seen, from its `_cursor` column
+ * @param {Array} values Query values, cursor values are added to it
+ * @returns {String} WHERE condition
+ */
+exports.keyset = (sorts, cursor, values) => {
+  if (
+    !Array.isArray(cursor)
+    || cursor.length !== sorts.length
+    || cursor.some(value => value !== null && typeof value !== 'string')
+  ) {
+    throw new Error('Invalid Cursor');
+  }
+
+  const placeholders = cursor.map((value) => {
+    if (value === null) {
+      return null;
+    }
+    values.push(value);
+    return `$${values.length}`;
+  });
+
+  const equals = index => (placeholders[index] === null
+    ? `${sorts[index].expression} IS NULL`
+    : `${sorts[index].expression} = ${placeholders[index]}`);
+
+  // A record comes after the cursor when it ties on every earlier sort
+  // and comes after it on the current one
+  const conditions = [];
+  sorts.forEach(({ expression, descending }, index) => {
+    if (placeholders[index] === null) {
+      // Nulls sort last, so nothing comes after a null besides more nulls
+      return;
+    }
+
+    const after = `(${expression} ${descending ? '<' : '>'} ${placeholders[index]} OR ${expression} IS NULL)`;
+    const ties = sorts.slice(0, index).map((sort, tieIndex) => equals(tieIndex));
+    conditions.push(`(${[...ties, after].join(' AND ')})`);
+  });
+
+  return conditions.length ? `(${conditions.join(' OR ')})` : 'FALSE';
+};
+
+/**
+ * Builds a column showing where a text search matched within some text
+ * Matches are marked with control characters, as the text is not HTML,
+ * use `escapeHeadline` to turn the headline into safe HTML
+ * @param {String} column Column holding the text
+ * @param {String} query Text search query
+ * @param {String} options (optional) Additional ts_headline options
+ * @returns {String} Headline expression
+ */
+exports.headline = (column, query, options) => `ts_headline('english',
+    translate(${column}, chr(2) || chr(3), ''),
+    ${query},
+    'StartSel=' || chr(2) || ', StopSel=' || chr(3)${options ? ` || ', ${options}'` : ''}
+  )`;
+
+/**
+ * Escapes a headline from `headline`, and marks its matches in bold
+ * @param {String} headline Headline to escape
+ * @returns {String} Headline HTML
+ */
+exports.escapeHeadline = headline => _.escape(headline)
+  .replace(new RegExp(_matchStart, 'g'), '<b>')
+  .replace(new RegExp(_matchStop, 'g'), '</b>');
+
+/**
+ * Splits the results of a keyset query into a page and the cursor for the next one
+ * Queries should fetch one more record than the limit to detect another page
+ * @param {Object[]} rows Records found, including their `_cursor` column
+ * @param {Number} limit Page size
+ * @returns {Object} Page `rows`, and the `cursor` to continue with or null on the last page
+ */
+exports.cursorPage = (rows, limit) => {
+  const page = rows.slice(0, limit);
+  const hasMore = rows.length > limit;
+
+  return {
+    rows: page.map(({ _cursor, ...row }) => row),
+    cursor: hasMore ? page[page.length - 1]._cursor : null,
+  };
+};
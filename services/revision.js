@@ -0,0 +1,172 @@
+/**
+ * Revision Service
+ *
+ * Manages the revision history of Posts
+ * Posts store their current revision, previous revisions are kept here
+ */
+const { diffLines } = require('diff');
+const _ = require('lodash');
+
+const database = require.main.require('./services/database');
+
+/**
+ * @string
+ * Revisions of a post, including its current revision
+ */
+const _revisions = `(
+    SELECT id AS post, revision, title, description, content,
+      ARRAY(SELECT name FROM tags WHERE tags.post = posts.id ORDER BY name) AS tags,
+      "revisedBy" AS editor, "revisedAt" AS "createdAt", TRUE AS current
+      FROM posts WHERE id = $1
+    UNION ALL
+    SELECT post, revision, title, description, content, tags, editor, "createdAt", FALSE AS current
+      FROM post_revisions WHERE post = $1
+  ) AS revisions
+  LEFT JOIN users ON revisions.editor = users.id`;
+
+/**
+ * Prepares the table for use
+ * @returns {void}
+ */
+exports.init = async () => {
+  await database.query(`CREATE TABLE IF NOT EXISTS post_revisions (
+    id SERIAL PRIMARY KEY,
+    post INTEGER REFERENCES posts(id),
+    revision INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    description TEXT NOT NULL,
+    content TEXT NOT NULL,
+    tags TEXT[] NOT NULL DEFAULT '{}',
+    editor INTEGER REFERENCES users(id),
+    "createdAt" TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (post, revision)
+  )`);
+};
+
+/**
+ * Stores a copy of a post's current revision
+ * Should be run in the same transaction that updates the post, after locking it
+ * @param {Object} client Database client to run queries with
+ * @param {Number} id Post's id
+ * @returns {void}
+ */
+exports.snapshot = async (client, id) => {
+  await client.query(
+    `INSERT INTO post_revisions(post, revision, title, description, content, tags, editor,
+      "createdAt")
+    SELECT id, revision, title, description, content,
+      ARRAY(SELECT name FROM tags WHERE tags.post = posts.id ORDER BY name), "revisedBy", "revisedAt"
+    FROM posts WHERE id = $1`,
+    [id],
+  );
+};
+
+/**
+ * Fetches the revisions of a post, newest first
+ * Content is omitted, fetch a single revision for it
+ * @param {Number} id Post's id
+ * @param {Object} options (optional) Search options
+ * @param {Number} options.limit (optional) Maximum number of records to return,
+ * defaults to no limit
+ * @param {Number} options.offset (optional) Number of records to skip over, defaults to 0
+ * @returns {Object} Found revisions and the total count
+ */
+exports.search = async (
+  id,
+  {
+    limit = null,
+    offset = 0,
+  } = {
+    limit: null,
+    offset: 0,
+  },
+) => {
+  let query = `SELECT revision, title, editor, "firstName" AS "editorFirstName",
+    "lastName" AS "editorLastName", revisions."createdAt" AS "createdAt", current
+    FROM ${_revisions}
+    ORDER BY revision DESC`;
+
+  const countQuery = `SELECT COUNT(*) FROM ${_revisions}`;
+
+  const values = [id];
+
+  // Count the total records before limit and offset
+  const countResult = await database.query(countQuery, values);
+
+  if (limit) {
+    values.push(limit);
+    query += ` LIMIT $${values.length}`;
+  }
+
+  if (offset) {
+    values.push(offset);
+    query += ` OFFSET $${values.length}`;
+  }
+
+  const results = await database.query(
+    query,
+    values,
+  );
+
+  return {
+    revisions: results.rows,
+    count: countResult.rows[0].count,
+  };
+};
+
+/**
+ * Fetches a single revision of a post
+ * @param {Number} id Post's id
+ * @param {Number} revision Revision number
+ * @returns {Revision} Found revision
+ */
+exports.findOne = async (id, revision) => {
+  const result = await database.query(
+    `SELECT revision, title, description, content, tags, editor, "firstName" AS "editorFirstName",
+      "lastName" AS "editorLastName", revisions."createdAt" AS "createdAt", current
+      FROM ${_revisions}
+      WHERE revision = $2`,
+    [id, revision],
+  );
+  const found = result.rows[0];
+
+  if (!found) {
+    // No Revision found
+    throw new Error('No Record Found');
+  }
+  return found;
+};
+
+/**
+ * Compares two revisions of a post line by line
+ * @param {Number} id Post's id
+ * @param {Number} from Revision number to compare from
+ * @param {Number} to Revision number to compare to
+ * @returns {Object} Line changes for each text field, plus added and removed tags
+ */
+exports.diff = async (id, from, to) => {
+  const [fromRevision, toRevision] = await Promise.all([
+    exports.findOne(id, from),
+    exports.findOne(id, to),
+  ]);
+
+  const changes = {};
+  ['title', 'description', 'content'].forEach((field) => {
+    changes[field] = diffLines(fromRevision[field], toRevision[field]).map(change => ({
+      type: (change.added && 'added') || (change.removed && 'removed') || 'unchanged',
+      lines: change.count,
+      value: change.value,
+    }));
+  });
+
+  changes.tags = {
+    added: _.difference(toRevision.tags, fromRevision.tags),
+    removed: _.difference(fromRevision.tags, toRevision.tags),
+  };
+
+  return {
+    from,
+    to,
+    changes,
+  };
+};
@@ -0,0 +1,251 @@
+/**
+ * Role Service
+ *
+ * Manages all actions related to Roles and their Permissions
+ */
+
+const _ = require('lodash');
+
+const database = require.main.require('./services/database');
+const config = require.main.require('./config');
+
+/**
+ * @object
+ * Permissions that can be granted to roles, with what they allow
+ */
+exports.permissions = {
+  'users:manage': 'List, create, update and delete users, and change their roles',
+  'roles:manage': 'Create and update roles, and the permissions granted to them',
+  'categories:write': 'Create, update and delete categories',
+  'posts:preview': 'View posts that are not published',
+  'posts:write': 'Create posts, and edit and submit your own drafts',
+  'posts:publish': 'Move posts through every workflow status, and review submitted posts',
+  'posts:manage': 'Edit any post, and create posts for other authors',
+  'posts:delete': 'Delete posts',
+  'media:upload': 'Upload media, browse the media library and delete your own uploads',
+  'media:manage': 'Delete any media',
+  'comments:write': 'Comment on posts, and edit and delete your own comments',
+  'comments:moderate': 'Moderate, edit and delete any comment',
+};
+
+/**
+ * @string
+ * Columns selected when fetching roles
+ */
+const _roleColumns = `
+    id,
+    name,
+    ARRAY(
+      SELECT permission FROM role_permissions WHERE role = user_roles.id ORDER BY permission
+    ) AS permissions
+`;
+
+/**
+ * Builds a condition that users of roles requiring two factor authentication have enabled it
+ * @param {Number} parameter Index of the query parameter holding the required role names
+ * @returns {String} Query condition
+ */
+const _twoFactorCondition = parameter => `(users."twoFactorEnabledAt" IS NOT NULL
+      OR user_roles.name <> ALL($${parameter}::TEXT[]))`;
+
+/**
+ * Replaces the permissions granted to a role
+ * @param {Object} client Database client to run queries with
+ * @param {Number} id Role's id
+ * @param {String[]} permissions Permissions to grant the role
+ * @returns {void}
+ */
+const _setPermissions = async (client, id, permissions) => {
+  await client.query('DELETE FROM role_permissions WHERE role = $1', [id]);
+
+  if (permissions.length) {
+    await client.query(
+      'INSERT INTO role_permissions(role, permission) SELECT $1, UNNEST($2::TEXT[]) ON CONFLICT DO NOTHING',
+      [id, permissions],
+    );
+  }
+};
+
+/**
+ * Prepares the tables for use
+ * @returns {void}
+ */
+exports.init = async () => {
+  await database.query(`CREATE TABLE IF NOT EXISTS user_roles (
+    id SERIAL PRIMARY KEY,
+    name TEXT,
+    UNIQUE (name)
+  )`);
+
+  await database.query(`CREATE TABLE IF NOT EXISTS permissions (
+    name TEXT PRIMARY KEY,
+    description TEXT
+  )`);
+
+  await database.query(`CREATE TABLE IF NOT EXISTS role_permissions (
+    role INTEGER REFERENCES user_roles(id) ON DELETE CASCADE,
+    permission TEXT REFERENCES permissions(name) ON DELETE CASCADE,
+    PRIMARY KEY (role, permission)
+  )`);
+
+  // Roles used to be created with explicit ids, so catch the id sequence up
+  await database.query(`SELECT setval(pg_get_serial_sequence('user_roles', 'id'), MAX(id))
+    FROM user_roles HAVING MAX(id) IS NOT NULL`);
+
+  // Create the default roles on the first run, in the order they are configured
+  // Roles are managed through the API after that, so renamed roles are not created again
+  const addedRoles = await database.query(
+    `INSERT INTO user_roles(name)
+    SELECT name FROM UNNEST($1::TEXT[]) WITH ORDINALITY AS roles(name, position)
+    WHERE NOT EXISTS (SELECT 1 FROM user_roles) ORDER BY position
+    ON CONFLICT (name) DO NOTHING RETURNING name`,
+    [config.defaultRoles.map(role => role.name)],
+  );
+
+  // Ensure permissions exist, removing any that are no longer used
+  const names = Object.keys(exports.permissions);
+  await database.query('DELETE FROM permissions WHERE name <> ALL($1::TEXT[])', [names]);
+  const addedPermissions = await database.query(
+    `INSERT INTO permissions(name, description) SELECT * FROM UNNEST($1::TEXT[], $2::TEXT[])
+    ON CONFLICT (name) DO NOTHING RETURNING name`,
+    [names, names.map(name => exports.permissions[name])],
+  );
+
+  // Grant the default permissions of new roles, and permissions that did not exist before
+  // Anything else was already granted, so changes made to roles are kept
+  const newRoles = addedRoles.rows.map(row => row.name);
+  const newPermissions = addedPermissions.rows.map(row => row.name);
+  await Promise.all(config.defaultRoles.map(({ name, permissions = [] }) => database.query(
+    `INSERT INTO role_permissions(role, permission)
+    SELECT user_roles.id, UNNEST($2::TEXT[]) FROM user_roles WHERE name = $1
+    ON CONFLICT DO NOTHING`,
+    [name, newRoles.includes(name) ? permissions : _.intersection(permissions, newPermissions)],
+  )));
+};
+
+/**
+ * Creates a new role
+ * @param {Object} params New role parameters
+ * @param {String} params.name New role's name
+ * @param {String[]} params.permissions (optional) Permissions granted to the new role
+ * @returns {Role} Created role
+ */
+exports.create = async ({
+  name,
+  permissions = [],
+}) => {
+  if (!name) {
+    throw new Error('Invalid Create Payload Provided');
+  }
+
+  const id = await database.transaction(async (client) => {
+    const result = await client.query(
+      'INSERT INTO user_roles(name) VALUES($1) RETURNING id',
+      [name],
+    );
+
+    if (result.rowCount === 0) {
+      throw new Error('No Records Updated');
+    }
+
+    await _setPermissions(client, result.rows[0].id, _.uniq(permissions));
+    return result.rows[0].id;
+  });
+
+  return exports.findOneById(id);
+};
+
+/**
+ * Fetches a single role by id
+ * @param {Number} id Role's id
+ * @returns {Role} Found role
+ */
+exports.findOneById = async (id) => {
+  const result = await database.query(`SELECT ${_roleColumns} FROM user_roles WHERE id = $1`, [id]);
+  const role = result.rows[0];
+
+  if (!role) {
+    // No Role found
+    throw new Error('No Record Found');
+  }
+  return role;
+};
+
+/**
+ * Fetches every role
+ * @returns {Role[]} Found roles
+ */
+exports.search = async () => {
+  const results = await database.query(`SELECT ${_roleColumns} FROM user_roles ORDER BY id`);
+  return results.rows;
+};
+
+/**
+ * Updates a role with provided values.
+ * One of the optional values must be provided.
+ * @param {Number} id Role's id
+ * @param {Object} payload Update parameters
+ * @param {String} payload.name (optional) Role's new name
+ * @param {String[]} payload.permissions (optional) Replacement set of permissions for the role
+ * @returns {Boolean} Update successful
+ */
+exports.update = async (id, payload) => {
+  if (!payload) {
+    throw new Error('Invalid Update Payload Provided');
+  }
+
+  await database.transaction(async (client) => {
+    const result = payload.name
+      ? await client.query('UPDATE user_roles SET name = $1 WHERE id = $2', [payload.name, id])
+      : await client.query('SELECT id FROM user_roles WHERE id = $1', [id]);
+
+    if (result.rowCount === 0) {
+      throw new Error('No Records Updated');
+    }
+
+    if (payload.permissions) {
+      await _setPermissions(client, id, _.uniq(payload.permissions));
+    }
+  });
+
+  return true;
+};
+
+/**
+ * Determines if a user has been granted a permission through their role
+ * Roles that require two factor authentication only grant permissions once it is enabled
+ * @param {Number} userId Id of user to look up
+ * @param {String} permission Name of the permission, such as `posts:publish`
+ * @returns {Boolean} If the user has the permission
+ */
+exports.hasPermission = async (userId, permission) => {
+  const result = await database.query(
+    `SELECT 1 FROM users
+    JOIN user_roles ON user_roles.id = users.role
+    JOIN role_permissions ON role_permissions.role = users.role
+    WHERE users.id = $1 AND users."deletedAt" IS NULL AND role_permissions.permission = $2
+      AND ${_twoFactorCondition(3)}`,
+    [userId, permission, config.twoFactor.requiredRoles],
+  );
+
+  return result.rowCount > 0;
+};
+
+/**
+ * Fetches the permissions a user has been granted through their role
+ * Roles that require two factor authentication only grant permissions once it is enabled
+ * @param {Number} userId Id of user to look up
+ * @returns {String[]} Names of the user's permissions
+ */
+exports.getPermissions = async (userId) => {
+  const results = await database.query(
+    `SELECT permission FROM users
+    JOIN user_roles ON user_roles.id = users.role
+    JOIN role_permissions ON role_permissions.role = users.role
+    WHERE users.id = $1 AND users."deletedAt" IS NULL AND ${_twoFactorCondition(2)}
+    ORDER BY permission`,
+    [userId, config.twoFactor.requiredRoles],
+  );
+
+  return results.rows.map(row => row.permission);
+};
@@ -0,0 +1,167 @@
+/**
+ * Session Service
+ *
+ * Manages the login sessions of users, and the refresh tokens that keep them going
+ */
+
+const database = require.main.require('./services/database');
+const AuthenticationService = require.main.require('./services/authentication');
+const config = require.main.require('./config');
+
+/**
+ * @string
+ * Columns selected when listing sessions
+ */
+const _sessionColumns = `
+    id,
+    "userAgent",
+    ip,
+    "createdAt",
+    "lastUsedAt",
+    "expiresAt"
+`;
+
+/**
+ * Prepares the table for use
+ * @returns {void}
+ */
+exports.init = async () => {
+  await database.query(`CREATE TABLE IF NOT EXISTS sessions (
+    id SERIAL PRIMARY KEY,
+    owner INTEGER REFERENCES users(id) NOT NULL,
+    "tokenHash" TEXT NOT NULL UNIQUE,
+    "previousTokenHash" TEXT DEFAULT NULL,
+    "userAgent" TEXT DEFAULT NULL,
+    ip TEXT DEFAULT NULL,
+    "createdAt" TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    "lastUsedAt" TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "revokedAt" TIMESTAMP WITH TIME ZONE DEFAULT NULL
+  )`);
+
+  // Create indexes for listing a user's sessions, and detecting reused refresh tokens
+  await database.query('CREATE INDEX IF NOT EXISTS index_sessions_owner ON sessions (owner)');
+  await database.query(`CREATE INDEX IF NOT EXISTS index_sessions_previous_token
+    ON sessions ("previousTokenHash")`);
+};
+
+/**
+ * Starts a new session for a user
+ * @param {Object} params New session parameters
+ * @param {Number} params.owner Id of the user the session belongs to
+ * @param {String} params.userAgent (optional) User agent of the device logging in
+ * @param {String} params.ip (optional) IP address of the device logging in
+ * @returns {Object} Access `token`, and the `refreshToken` for the session
+ */
+exports.start = async ({ owner, userAgent = null, ip = null }) => {
+  const refreshToken = AuthenticationService.createRandomToken();
+  const tokenHash = AuthenticationService.hashToken(refreshToken);
+
+  const result = await database.query(
+    `INSERT INTO sessions(owner, "tokenHash", "userAgent", ip, "expiresAt")
+    VALUES($1, $2, $3, $4, CURRENT_TIMESTAMP + $5::INTERVAL)
+    RETURNING id`,
+    [owner, tokenHash, userAgent, ip, config.refreshTokenExpiry],
+  );
+
+  if (result.rowCount === 0) {
+    throw new Error('No Records Updated');
+  }
+
+  const token = await AuthenticationService.createToken({ id: owner, session: result.rows[0].id });
+  return { token, refreshToken };
+};
+
+/**
+ * Exchanges a refresh token for a new access token and refresh token
+ * Each refresh token can only be used once. Using one again ends its session,
+ * as the token has likely been stolen.
+ * @param {String} refreshToken Refresh token of the session
+ * @returns {Object} Access `token`, and the next `refreshToken` for the session
+ */
+exports.refresh = async (refreshToken) => {
+  const tokenHash = AuthenticationService.hashToken(refreshToken);
+  const nextRefreshToken = AuthenticationService.createRandomToken();
+
+  const result = await database.query(
+    `UPDATE sessions SET
+      "previousTokenHash" = "tokenHash",
+      "tokenHash" = $2,
+      "lastUsedAt" = CURRENT_TIMESTAMP,
+      "expiresAt" = CURRENT_TIMESTAMP + $3::INTERVAL
+    FROM users
+    WHERE sessions."tokenHash" = $1 AND sessions."revokedAt" IS NULL
+      AND sessions."expiresAt" > CURRENT_TIMESTAMP
+      AND users.id = sessions.owner AND users."deletedAt" IS NULL
+    RETURNING sessions.id, sessions.owner`,
+    [tokenHash, AuthenticationService.hashToken(nextRefreshToken), config.refreshTokenExpiry],
+  );
+  const session = result.rows[0];
+
+  if (!session) {
+    // End any session the token was previously used for
+    await database.query(
+      `UPDATE sessions SET "revokedAt" = CURRENT_TIMESTAMP
+      WHERE "previousTokenHash" = $1 AND "revokedAt" IS NULL`,
+      [tokenHash],
+    );
+    throw new Error('Invalid Refresh Token');
+  }
+
+  const token = await AuthenticationService.createToken({ id: session.owner, session: session.id });
+  return { token, refreshToken: nextRefreshToken };
+};
+
+/**
+ * Fetches a user's active sessions, most recently used first
+ * @param {Number} owner Id of the user
+ * @returns {Session[]} Found sessions
+ */
+exports.search = async (owner) => {
+  const results = await database.query(
+    `SELECT ${_sessionColumns} FROM sessions
+    WHERE owner = $1 AND "revokedAt" IS NULL AND "expiresAt" > CURRENT_TIMESTAMP
+    ORDER BY "lastUsedAt" DESC, id DESC`,
+    [owner],
+  );
+
+  return results.rows;
+};
+
+/**
+ * Ends a session, so its access and refresh tokens can no longer be used
+ * @param {Number} id Session's id
+ * @param {Object} options (optional) Revoke options
+ * @param {Number} options.owner (optional) Id of the user the session must belong to
+ * @returns {Boolean} Revoke successful
+ */
+exports.revoke = async (id, { owner } = {}) => {
+  const values = [id];
+  let query = 'UPDATE sessions SET "revokedAt" = CURRENT_TIMESTAMP WHERE id = $1 AND "revokedAt" IS NULL';
+
+  if (owner) {
+    values.push(owner);
+    query += ` AND owner = $${values.length}`;
+  }
+
+  const result = await database.query(query, values);
+  if (result.rowCount === 0) {
+    throw new Error('No Records Updated');
+  }
+
+  return true;
+};
+
+/**
+ * Ends every session of a user
+ * @param {Number} owner Id of the user
+ * @returns {Boolean} Revoke successful
+ */
+exports.revokeAll = async (owner) => {
+  await database.query(
+    'UPDATE sessions SET "revokedAt" = CURRENT_TIMESTAMP WHERE owner = $1 AND "revokedAt" IS NULL',
+    [owner],
+  );
+
+  return true;
+};
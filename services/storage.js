@@ -0,0 +1,130 @@
+/**
+ * Storage Service
+ *
+ * Stores uploaded files using the configured storage driver
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const crypto = require('crypto');
+
+const config = require.main.require('./config');
+
+const _copyFile = util.promisify(fs.copyFile);
+const _unlink = util.promisify(fs.unlink);
+const _mkdir = util.promisify(fs.mkdir);
+
+/**
+ * @object
+ * Available storage drivers
+ * Each driver can `init`, `save` a local file under a key, `read` a key as a stream,
+ * `remove` a key, and provide the public `url` of a key
+ */
+const _drivers = {
+  // Stores files in a directory on the local disk
+  local: {
+    init: async (options) => {
+      try {
+        await _mkdir(path.resolve(options.directory), { recursive: true });
+      } catch (err) {
+        if (err.code !== 'EEXIST') {
+          throw err;
+        }
+      }
+    },
+    save: async (options, source, key) => {
+      // Copy rather than rename, as uploads may be on a different device
+      await _copyFile(source, path.resolve(options.directory, key));
+    },
+    read: async (options, key) => fs.createReadStream(path.resolve(options.directory, key)),
+    remove: async (options, key) => {
+      try {
+        await _unlink(path.resolve(options.directory, key));
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          throw err;
+        }
+      }
+    },
+    url: (options, key) => `${options.baseUrl}/${key}`,
+  },
+};
+
+/**
+ * Fetches the configured storage driver and its options
+ * @returns {Object} The `driver`, and its `options`
+ */
+const _getDriver = () => {
+  const { driver = 'local' } = config.storage;
+  if (!_drivers[driver]) {
+    throw new Error(`Unknown Storage Driver: ${driver}`);
+  }
+
+  return {
+    driver: _drivers[driver],
+    options: config.storage[driver] || {},
+  };
+};
+
+/**
+ * Prepares the storage driver for use
+ * @returns {void}
+ */
+exports.init = async () => {
+  const { driver, options } = _getDriver();
+  await driver.init(options);
+};
+
+/**
+ * Registers an additional storage driver, which can then be selected with `storage.driver`
+ * @param {String} name Driver's name
+ * @param {Object} driver Driver implementing `init`, `save`, `read`, `remove` and `url`
+ * @returns {void}
+ */
+exports.registerDriver = (name, driver) => {
+  _drivers[name] = driver;
+};
+
+/**
+ * Generates a unique key to store a file under
+ * @param {String} filename (optional) Original filename, to keep the extension of
+ * @returns {String} Storage key
+ */
+exports.createKey = (filename = '') => {
+  const extension = path.extname(filename).toLowerCase().replace(/[^.a-z0-9]/g, '');
+  return `${crypto.randomBytes(16).toString('hex')}${extension}`;
+};
+
+/**
+ * Stores a local file
+ * @param {String} source Path of the file to store
+ * @param {String} key Key to store the file under
+ * @returns {String} Public url of the stored file
+ */
+exports.save = async (source, key) => {
+  const { driver, options } = _getDriver();
+  await driver.save(options, source, key);
+  return driver.url(options, key);
+};
+
+/**
+ * Reads a stored file
+ * @param {String} key Key the file is stored under
+ * @returns {Stream} Readable stream of the file's contents
+ */
+exports.read = async (key) => {
+  const { driver, options } = _getDriver();
+  return driver.read(options, key);
+};
+
+/**
+ * Removes a stored file
+ * @param {String} key Key the file is stored under
+ * @returns {Boolean} Removal successful
+ */
+exports.remove = async (key) => {
+  const { driver, options } = _getDriver();
+  await driver.remove(options, key);
+  return true;
+};
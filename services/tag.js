@@ -0,0 +1,100 @@
+/**
+ * Tag Service
+ *
+ * Manages all actions related to Tags
+ * Tags are created and removed alongside their posts, see the Post Service
+ */
+const database = require.main.require('./services/database');
+const PostService = require.main.require('./services/post');
+const QueryService = require.main.require('./services/query');
+
+/**
+ * @object
+ * Columns tags can be sorted by
+ * Tags are identified by their name, which keeps their order stable
+ */
+const _sortColumns = {
+  id: 'tags.name',
+  name: 'tags.name',
+  count: 'COUNT(*)',
+};
+
+/**
+ * Fetches tags along with how many posts use them
+ * @param {Object} parameters (optional) Search parameters
+ * @param {String} params.searchText (optional) Text to search for
+ * @param {Boolean} params.published (optional) Whether counted posts are visible
+ * @param {Object} options (optional) Search options
+ * @param {Number} options.limit (optional) Maximum number of records to return,
+ * defaults to no limit
+ * @param {Number} options.offset (optional) Number of records to skip over, defaults to 0
+ * @param {String} options.orderBy (optional) Which column to sort records by,
+ * prefixed with `-` to sort descending, defaults to name
+ * @returns {Object} Found tags and the total count
+ */
+exports.search = async (
+  {
+    searchText,
+    published = true,
+  } = {
+    published: true,
+  },
+  {
+    limit = null,
+    offset = 0,
+    orderBy = 'name',
+  } = {
+    limit: null,
+    offset: 0,
+    orderBy: 'name',
+  },
+) => {
+  let query = `SELECT tags.name AS name, COUNT(*)::INTEGER AS count FROM tags
+    INNER JOIN posts ON tags.post = posts.id`;
+
+  let countQuery = `SELECT COUNT(DISTINCT tags.name) FROM tags
+    INNER JOIN posts ON tags.post = posts.id`;
+
+  const values = [];
+  const where = ['posts."deletedAt" IS NULL'];
+
+  if (searchText) {
+    values.push(searchText);
+    where.push(`tags.name ILIKE concat('%',(TEXT($${values.length})),'%')`);
+  }
+
+  if (published === true) {
+    where.push(PostService.visibleCondition);
+  } else if (published === false) {
+    where.push(`NOT ${PostService.visibleCondition}`);
+  }
+
+  const whereClause = ` WHERE ${where.join(' AND ')}`;
+  query += `${whereClause} GROUP BY tags.name`;
+  countQuery += whereClause;
+
+  // Count the total records before limit and offset
+  const countResult = await database.query(countQuery, values);
+
+  query += QueryService.orderBy(QueryService.parseSort(orderBy, _sortColumns));
+
+  if (limit) {
+    values.push(limit);
+    query += ` LIMIT $${values.length}`;
+  }
+
+  if (offset) {
+    values.push(offset);
+    query += ` OFFSET $${values.length}`;
+  }
+
+  const results = await database.query(
+    query,
+    values,
+  );
+
+  return {
+    tags: results.rows,
+    count: countResult.rows[0].count,
+  };
+};
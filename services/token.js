@@ -0,0 +1,95 @@
+/**
+ * Token Service
+ *
+ * Manages single use tokens emailed to users, such as password reset tokens
+ */
+
+const database = require.main.require('./services/database');
+const AuthenticationService = require.main.require('./services/authentication');
+
+/**
+ * Prepares the table for use
+ * @returns {void}
+ */
+exports.init = async () => {
+  await database.query(`CREATE TABLE IF NOT EXISTS user_tokens (
+    id SERIAL PRIMARY KEY,
+    owner INTEGER REFERENCES users(id) NOT NULL,
+    type TEXT NOT NULL,
+    "tokenHash" TEXT NOT NULL UNIQUE,
+    "createdAt" TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+    "usedAt" TIMESTAMP WITH TIME ZONE DEFAULT NULL
+  )`);
+
+  // Create index for finding a user's tokens of a type
+  await database.query('CREATE INDEX IF NOT EXISTS index_user_tokens_owner_type ON user_tokens (owner, type)');
+};
+
+/**
+ * Creates a token for a user
+ * Only the newest unused token of each type can be used, so older ones are removed
+ * @param {Object} params New token parameters
+ * @param {Number} params.owner Id of the user the token belongs to
+ * @param {String} params.type What the token is for, such as `password_reset`
+ * @param {String} params.expiry How long the token can be used for, as a Postgres interval
+ * @returns {String} Token
+ */
+exports.create = async ({ owner, type, expiry }) => {
+  const token = AuthenticationService.createRandomToken();
+
+  await database.transaction(async (client) => {
+    await client.query(
+      'DELETE FROM user_tokens WHERE owner = $1 AND type = $2 AND "usedAt" IS NULL',
+      [owner, type],
+    );
+    await client.query(
+      `INSERT INTO user_tokens(owner, type, "tokenHash", "expiresAt")
+      VALUES($1, $2, $3, CURRENT_TIMESTAMP + $4::INTERVAL)`,
+      [owner, type, AuthenticationService.hashToken(token), expiry],
+    );
+  });
+
+  return token;
+};
+
+/**
+ * Finds the user a token belongs to, without using it up
+ * @param {String} token Token to look up
+ * @param {String} type What the token must be for, such as `two_factor_challenge`
+ * @returns {Number} Id of the user the token belongs to
+ */
+exports.findOwner = async (token, type) => {
+  const result = await database.query(
+    `SELECT owner FROM user_tokens
+    WHERE "tokenHash" = $1 AND type = $2 AND "usedAt" IS NULL AND "expiresAt" > CURRENT_TIMESTAMP`,
+    [AuthenticationService.hashToken(token), type],
+  );
+  const found = result.rows[0];
+
+  if (!found) {
+    throw new Error('Invalid Token');
+  }
+  return found.owner;
+};
+
+/**
+ * Uses up a token, so it cannot be used again
+ * @param {String} token Token to use
+ * @param {String} type What the token must be for, such as `password_reset`
+ * @returns {Number} Id of the user the token belongs to
+ */
+exports.consume = async (token, type) => {
+  const result = await database.query(
+    `UPDATE user_tokens SET "usedAt" = CURRENT_TIMESTAMP
+    WHERE "tokenHash" = $1 AND type = $2 AND "usedAt" IS NULL AND "expiresAt" > CURRENT_TIMESTAMP
+    RETURNING owner`,
+    [AuthenticationService.hashToken(token), type],
+  );
+  const found = result.rows[0];
+
+  if (!found) {
+    throw new Error('Invalid Token');
+  }
+  return found.owner;
+};
@@ -0,0 +1,55 @@
+/**
+ * Trash Service
+ *
+ * Permanently deletes records that have been in the trash for longer than the retention period
+ */
+
+const PostService = require.main.require('./services/post');
+const CategoryService = require.main.require('./services/category');
+const MediaService = require.main.require('./services/media');
+const UserService = require.main.require('./services/user');
+const config = require.main.require('./config');
+
+/**
+ * Purges one type of deleted record, logging any failure so the other types are still purged
+ * @param {String} name Name of the records, used in the log
+ * @param {Object} service Service that purges the records
+ * @param {String} retention How long deleted records are kept
+ * @returns {Number} Number of records purged
+ */
+const _purge = (name, service, retention) => service.purgeTrash(retention).catch((err) => {
+  console.error(`Unexpected error purging deleted ${name}`, err);
+  return 0;
+});
+
+/**
+ * Purges deleted posts, categories, media and users older than the configured retention period
+ * Posts and media are purged before users, so the users they belonged to can follow
+ * @returns {Object} Number of purged `posts`, `categories`, `media` and `users`
+ */
+exports.purge = async () => {
+  const { retention } = config.trash;
+
+  const posts = await _purge('posts', PostService, retention);
+  const categories = await _purge('categories', CategoryService, retention);
+  const media = await _purge('media', MediaService, retention);
+  const users = await _purge('users', UserService, retention);
+
+  return {
+    posts, categories, media, users,
+  };
+};
+
+/**
+ * Starts purging the trash on an interval
+ * Does nothing when no retention period is configured, keeping deleted records forever
+ * @returns {void}
+ */
+exports.schedule = () => {
+  if (!config.trash.retention) {
+    return;
+  }
+
+  exports.purge();
+  setInterval(exports.purge, config.trash.purgeIntervalMinutes * 60 * 1000);
+};
@@ -0,0 +1,246 @@
+/**
+ * Two Factor Service
+ *
+ * Manages time based one time password (TOTP) two factor authentication, and recovery codes
+ */
+
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+
+const database = require.main.require('./services/database');
+const AuthenticationService = require.main.require('./services/authentication');
+const config = require.main.require('./config');
+
+// Accept codes from the previous and next steps, to allow for clock drift
+authenticator.options = { window: 1 };
+
+/**
+ * @number
+ * How many recovery codes users are given
+ */
+const _recoveryCodeCount = 10;
+
+/**
+ * Prepares the tables for use
+ * @returns {void}
+ */
+exports.init = async () => {
+  // Track each user's secret, and the last step a code was used for so codes cannot be replayed
+  await database.query(`ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS "twoFactorSecret" TEXT DEFAULT NULL,
+    ADD COLUMN IF NOT EXISTS "twoFactorEnabledAt" TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    ADD COLUMN IF NOT EXISTS "twoFactorLastStep" BIGINT DEFAULT NULL`);
+
+  await database.query(`CREATE TABLE IF NOT EXISTS recovery_codes (
+    id SERIAL PRIMARY KEY,
+    owner INTEGER REFERENCES users(id) NOT NULL,
+    "codeHash" TEXT NOT NULL,
+    "createdAt" TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    "usedAt" TIMESTAMP WITH TIME ZONE DEFAULT NULL
+  )`);
+
+  // Create index for finding a user's recovery codes
+  await database.query('CREATE INDEX IF NOT EXISTS index_recovery_codes_owner ON recovery_codes (owner)');
+};
+
+/**
+ * Normalizes a recovery code, so it can be entered without dashes or in any case
+ * @param {String} code Recovery code
+ * @returns {String} Normalized code
+ */
+const _normalizeRecoveryCode = code => code.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Fetches the two factor details of a user
+ * @param {Number} id User's id
+ * @returns {Object} User's `email`, `twoFactorSecret` and `twoFactorEnabledAt`
+ */
+const _findUser = async (id) => {
+  const result = await database.query(
+    'SELECT email, "twoFactorSecret", "twoFactorEnabledAt" FROM users WHERE "deletedAt" IS NULL AND id = $1',
+    [id],
+  );
+  const user = result.rows[0];
+
+  if (!user) {
+    // No user found
+    throw new Error('No Record Found');
+  }
+  return user;
+};
+
+/**
+ * Checks a TOTP code against a user's secret
+ * Each code can only be used once
+ * @param {Number} id User's id
+ * @param {String} secret User's two factor secret
+ * @param {String} code Code to check
+ * @returns {Boolean} Whether the code is valid
+ */
+const _checkCode = async (id, secret, code) => {
+  const delta = authenticator.checkDelta(code, secret);
+  if (delta === null) {
+    return false;
+  }
+
+  // Record the step the code belongs to, rejecting steps that have already been used
+  const step = Math.floor(Date.now() / 1000 / authenticator.options.step) + delta;
+  const result = await database.query(
+    `UPDATE users SET "twoFactorLastStep" = $2
+    WHERE id = $1 AND ("twoFactorLastStep" IS NULL OR "twoFactorLastStep" < $2)`,
+    [id, step],
+  );
+
+  return result.rowCount > 0;
+};
+
+/**
+ * Replaces a user's recovery codes
+ * @param {Number} id User's id
+ * @returns {String[]} New recovery codes
+ */
+const _createRecoveryCodes = async (id) => {
+  const codes = [];
+  for (let i = 0; i < _recoveryCodeCount; i++) {
+    const code = crypto.randomBytes(5).toString('hex');
+    codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+  }
+
+  await database.transaction(async (client) => {
+    await client.query('DELETE FROM recovery_codes WHERE owner = $1', [id]);
+    await client.query(
+      'INSERT INTO recovery_codes(owner, "codeHash") SELECT $1, UNNEST($2::TEXT[])',
+      [id, codes.map(code => AuthenticationService.hashToken(_normalizeRecoveryCode(code)))],
+    );
+  });
+
+  return codes;
+};
+
+/**
+ * Determines if two factor authentication is required for a role
+ * @param {String} role Name of the role
+ * @returns {Boolean} If the role requires two factor authentication
+ */
+exports.isRequired = role => config.twoFactor.requiredRoles.includes(role);
+
+/**
+ * Determines if a user has enabled two factor authentication
+ * @param {Number} id User's id
+ * @returns {Boolean} If two factor authentication is enabled
+ */
+exports.isEnabled = async (id) => {
+  const user = await _findUser(id);
+  return Boolean(user.twoFactorEnabledAt);
+};
+
+/**
+ * Starts setting up two factor authentication for a user, replacing any unconfirmed setup
+ * @param {Number} id User's id
+ * @returns {Object} The `secret`, and an otpauth `uri` for authenticator apps
+ */
+exports.setup = async (id) => {
+  const user = await _findUser(id);
+  if (user.twoFactorEnabledAt) {
+    throw new Error('Two Factor Already Enabled');
+  }
+
+  const secret = authenticator.generateSecret();
+  await database.query(
+    'UPDATE users SET "twoFactorSecret" = $2, "twoFactorLastStep" = NULL WHERE id = $1',
+    [id, secret],
+  );
+
+  return {
+    secret,
+    uri: authenticator.keyuri(user.email, config.twoFactor.issuer, secret),
+  };
+};
+
+/**
+ * Enables two factor authentication for a user, confirming they can generate codes
+ * @param {Number} id User's id
+ * @param {String} code Code from the user's authenticator app
+ * @returns {String[]} Recovery codes, which can each be used once in place of a code
+ */
+exports.enable = async (id, code) => {
+  const user = await _findUser(id);
+  if (user.twoFactorEnabledAt) {
+    throw new Error('Two Factor Already Enabled');
+  }
+  if (!user.twoFactorSecret) {
+    throw new Error('Two Factor Not Set Up');
+  }
+
+  const valid = await _checkCode(id, user.twoFactorSecret, code);
+  if (!valid) {
+    throw new Error('Invalid Code');
+  }
+
+  await database.query('UPDATE users SET "twoFactorEnabledAt" = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+  return _createRecoveryCodes(id);
+};
+
+/**
+ * Verifies a code from a user's authenticator app, or one of their recovery codes
+ * Recovery codes are used up
+ * @param {Number} id User's id
+ * @param {String} code Code or recovery code
+ * @returns {Boolean} Verify successful
+ */
+exports.verify = async (id, code) => {
+  const user = await _findUser(id);
+  if (!user.twoFactorEnabledAt) {
+    throw new Error('Two Factor Not Enabled');
+  }
+
+  const valid = await _checkCode(id, user.twoFactorSecret, code);
+  if (valid) {
+    return true;
+  }
+
+  const result = await database.query(
+    `UPDATE recovery_codes SET "usedAt" = CURRENT_TIMESTAMP
+    WHERE id = (
+      SELECT id FROM recovery_codes WHERE owner = $1 AND "codeHash" = $2 AND "usedAt" IS NULL LIMIT 1
+    )`,
+    [id, AuthenticationService.hashToken(_normalizeRecoveryCode(code))],
+  );
+  if (result.rowCount === 0) {
+    throw new Error('Invalid Code');
+  }
+
+  return true;
+};
+
+/**
+ * Replaces a user's recovery codes
+ * @param {Number} id User's id
+ * @param {String} code Code or recovery code, confirming the change
+ * @returns {String[]} New recovery codes
+ */
+exports.regenerateRecoveryCodes = async (id, code) => {
+  await exports.verify(id, code);
+  return _createRecoveryCodes(id);
+};
+
+/**
+ * Disables two factor authentication for a user
+ * @param {Number} id User's id
+ * @param {String} code Code or recovery code, confirming the change
+ * @returns {Boolean} Disable successful
+ */
+exports.disable = async (id, code) => {
+  await exports.verify(id, code);
+
+  await database.transaction(async (client) => {
+    await client.query(
+      `UPDATE users SET "twoFactorSecret" = NULL, "twoFactorEnabledAt" = NULL, "twoFactorLastStep" = NULL
+      WHERE id = $1`,
+      [id],
+    );
+    await client.query('DELETE FROM recovery_codes WHERE owner = $1', [id]);
+  });
+
+  return true;
+};
@@ -5,33 +5,61 @@
  */
 
 const database = require.main.require('./services/database');
+const QueryService = require.main.require('./services/query');
 const AuthenticationService = require.main.require('./services/authentication');
+const SessionService = require.main.require('./services/session');
+const TokenService = require.main.require('./services/token');
+const MailService = require.main.require('./services/mail');
+const LockoutService = require.main.require('./services/lockout');
+const TwoFactorService = require.main.require('./services/twoFactor');
 const config = require.main.require('./config');
 
+/**
+ * @object
+ * Columns users can be sorted by
+ */
+const _sortColumns = {
+  id: 'users.id',
+  firstName: 'users."firstName"',
+  lastName: 'users."lastName"',
+  email: 'users.email',
+  role: 'user_roles.name',
+};
+
+/**
+ * @object
+ * Fields that can be selected when searching users, mapped to their SQL expressions
+ */
+const _fieldColumns = {
+  id: 'users.id',
+  firstName: 'users."firstName"',
+  lastName: 'users."lastName"',
+  email: 'users.email',
+  emailVerifiedAt: 'users."emailVerifiedAt"',
+  role: 'user_roles.name',
+  createdAt: 'users."createdAt"',
+  updatedAt: 'users."updatedAt"',
+  deletedAt: 'users."deletedAt"',
+};
+
+/**
+ * @array
+ * Fields that can be selected when searching users
+ */
+exports.fields = Object.keys(_fieldColumns);
+
 /**
  * Prepares the table for use
  * @returns {void}
  */
 exports.init = async () => {
-  // Create roles table first
-  await database.query(`CREATE TABLE IF NOT EXISTS user_roles (
-    id SERIAL PRIMARY KEY,
-    name TEXT,
-    UNIQUE (name)
-  )`);
-
-  // Ensure default roles exist
-  await Promise.all(config.defaultRoles.map(
-    async (role, index) => (database.query('INSERT INTO user_roles(id, name) VALUES($1, $2) ON CONFLICT DO NOTHING', [index + 1, role])),
-  ));
-
   await database.query(`CREATE TABLE IF NOT EXISTS users (
     id SERIAL PRIMARY KEY,
     "firstName" TEXT,
     "lastName" TEXT,
     email TEXT NOT NULL,
     password TEXT NOT NULL,
-    role INTEGER REFERENCES user_roles(id) DEFAULT 4,
+    role INTEGER REFERENCES user_roles(id),
     "createdAt" TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     "updatedAt" TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     "deletedAt" TIMESTAMP WITH TIME ZONE DEFAULT NULL,
@@ -42,6 +70,26 @@ exports.init = async () => {
   // Create index for text search
   await database.query(`CREATE INDEX IF NOT EXISTS index_users_full_text ON users using
     gin(("firstName" || ' ' || "lastName" || ' ' || email) gin_trgm_ops);`);
+
+  // Track when each user proved they own their email
+  // Accounts created before verification existed are treated as verified, so nobody is locked out
+  await database.query(`ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS "emailVerifiedAt" TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP`);
+  await database.query('ALTER TABLE users ALTER COLUMN "emailVerifiedAt" SET DEFAULT NULL');
+};
+
+/**
+ * Builds the keys failed logins are tracked under
+ * @param {String} email Email being logged in to
+ * @param {String} ip (optional) IP address logging in
+ * @returns {String[]} Failure keys
+ */
+const _lockoutKeys = (email, ip) => {
+  const keys = [LockoutService.accountKey(email)];
+  if (ip) {
+    keys.push(LockoutService.ipKey(ip));
+  }
+  return keys;
 };
 
 /**
@@ -51,7 +99,7 @@ exports.init = async () => {
  * @param {String} params.password New user's password
  * @param {String} params.firstName (optional) New user's first name
  * @param {String} params.lastName (optional) New user's last name
- * @param {Number} params.role (optional) New user's role
+ * @param {Number} params.role (optional) New user's role, defaults to the configured `defaultRole`
  * @returns {User} Created user (without role)
  */
 exports.create = async ({
@@ -59,7 +107,7 @@ exports.create = async ({
   firstName = '',
   lastName = '',
   password,
-  role = 4,
+  role = null,
 }) => {
   if (!email || !password) {
     throw new Error('Invalid Create Payload Provided');
@@ -68,9 +116,10 @@ exports.create = async ({
   const hash = await AuthenticationService.createHash(password);
 
   const result = await database.query(
-    `INSERT INTO users("firstName", "lastName", email, password, role) VALUES($1, $2, $3, $4, $5)
-    RETURNING id, "firstName", "lastName", email, "createdAt", "updatedAt", "deletedAt"`,
-    [firstName, lastName, email.toLowerCase(), hash, role],
+    `INSERT INTO users("firstName", "lastName", email, password, role)
+    VALUES($1, $2, $3, $4, COALESCE($5, (SELECT id FROM user_roles WHERE name = $6)))
+    RETURNING id, "firstName", "lastName", email, "emailVerifiedAt", "createdAt", "updatedAt", "deletedAt"`,
+    [firstName, lastName, email.toLowerCase(), hash, role, config.defaultRole],
   );
 
   if (result.rowCount === 0) {
@@ -81,47 +130,61 @@ exports.create = async ({
 };
 
 /**
- * Registers an account and logs the user in
+ * Registers an account, emails a verification link, and logs the user in
+ * Users are not logged in when `requireVerifiedEmail.login` is set, as they must verify first
  * @param {Object} params New user parameters
  * @param {String} params.email New user's email
  * @param {String} params.password New user's password
  * @param {String} params.firstName (optional) New user's first name
  * @param {String} params.lastName (optional) New user's last name
- * @returns {String} Auth token
+ * @param {Object} device (optional) Device registering, see `login`
+ * @returns {Object} Auth `token`, and `refreshToken`, or null when the user must verify first
  */
 exports.register = async ({
   email,
   firstName = '',
   lastName = '',
   password,
-}) => {
+}, device) => {
   await exports.create({
     email,
     firstName,
     lastName,
     password,
-    role: 4,
   });
 
+  await exports.sendVerification(email);
+  if (config.requireVerifiedEmail.login) {
+    return null;
+  }
+
   // Registration successful, log the user in
-  const token = await exports.login({ email, password });
-  return token;
+  const tokens = await exports.login({ email, password }, device);
+  return tokens;
 };
 
 /**
- * Verifies credentials, returns an auth token
+ * Verifies credentials, and starts a session
+ * Failed attempts are tracked by account and IP address, and too many of them lock both out
+ * Users with two factor authentication are given a challenge to complete with `loginWithCode`
  * @param {Object} params Login parameters
  * @param {String} params.email User's email
  * @param {String} params.password User's password
- * @returns {String} Auth token
+ * @param {Object} device (optional) Device logging in
+ * @param {String} device.userAgent (optional) Device's user agent
+ * @param {String} device.ip (optional) Device's IP address
+ * @returns {Object} Auth `token`, and `refreshToken` for the session, or a two factor `challenge`
  */
-exports.login = async ({ email, password }) => {
+exports.login = async ({ email, password }, { userAgent, ip } = {}) => {
+  await LockoutService.check(_lockoutKeys(email, ip));
+
   // Find the user
-  const result = await database.query('SELECT id, password FROM users WHERE "deletedAt" IS NULL AND email = $1', [email.toLowerCase()]);
+  const result = await database.query('SELECT id, password, "emailVerifiedAt", "twoFactorEnabledAt" FROM users WHERE "deletedAt" IS NULL AND email = $1', [email.toLowerCase()]);
   const user = result.rows[0];
 
   if (!user) {
     // No user found
+    await LockoutService.recordFailure({ email, ip });
     throw new Error('Invalid Credentials');
   }
 
@@ -129,28 +192,125 @@ exports.login = async ({ email, password }) => {
   const passwordMatches = await AuthenticationService.verifyCredentials(password, user.password);
   if (!passwordMatches) {
     // Password does not match
+    await LockoutService.recordFailure({ email, ip });
     throw new Error('Invalid Credentials');
   }
 
-  // Password verified, create token
-  const { id } = user;
-  const token = await AuthenticationService.createToken({ id });
-  return token;
+  // Users with two factor authentication are only cleared once their code is verified,
+  // otherwise logging in again between guesses would reset the count of failed codes
+  if (!user.twoFactorEnabledAt) {
+    await LockoutService.clear(email);
+  }
+
+  // Users can be required to verify their email before logging in
+  if (config.requireVerifiedEmail.login && !user.emailVerifiedAt) {
+    throw new Error('Email Not Verified');
+  }
+
+  // Users with two factor authentication must confirm a code before a session starts
+  if (user.twoFactorEnabledAt) {
+    const challenge = await TokenService.create({
+      owner: user.id,
+      type: 'two_factor_challenge',
+      expiry: config.twoFactor.challengeExpiry,
+    });
+    return { challenge };
+  }
+
+  // Password verified, start a session
+  const tokens = await SessionService.start({ owner: user.id, userAgent, ip });
+  return tokens;
+};
+
+/**
+ * Completes a two factor login, and starts a session
+ * Failed codes are tracked the same way as failed passwords
+ * @param {Object} params Login parameters
+ * @param {String} params.challenge Challenge returned by `login`
+ * @param {String} params.code Code from the user's authenticator app, or a recovery code
+ * @param {Object} device (optional) Device logging in, see `login`
+ * @returns {Object} Auth `token`, and `refreshToken` for the session
+ */
+exports.loginWithCode = async ({ challenge, code }, { userAgent, ip } = {}) => {
+  const owner = await TokenService.findOwner(challenge, 'two_factor_challenge');
+  const result = await database.query('SELECT email FROM users WHERE "deletedAt" IS NULL AND id = $1', [owner]);
+  const user = result.rows[0];
+
+  if (!user) {
+    // No user found
+    throw new Error('Invalid Token');
+  }
+
+  await LockoutService.check(_lockoutKeys(user.email, ip));
+  try {
+    await TwoFactorService.verify(owner, code);
+  } catch (err) {
+    if (err.message === 'Invalid Code') {
+      await LockoutService.recordFailure({ email: user.email, ip });
+    }
+    throw err;
+  }
+
+  // Code verified, use up the challenge and start a session
+  await TokenService.consume(challenge, 'two_factor_challenge');
+  await LockoutService.clear(user.email);
+
+  const tokens = await SessionService.start({ owner, userAgent, ip });
+  return tokens;
+};
+
+/**
+ * Ends every session of a user, including tokens issued without a session
+ * @param {Number} id User's id
+ * @returns {Boolean} Revoke successful
+ */
+exports.revokeTokens = async (id) => {
+  // Tokens only record the second they were created in, so blacklist from the current second
+  // Tokens issued before it in the same second belong to sessions which are ended below
+  const now = new Date();
+  now.setMilliseconds(0);
+  await exports.update(id, { tokenBlacklistDate: now });
+  await SessionService.revokeAll(id);
+
+  return true;
+};
+
+/**
+ * Unlocks a user locked out by failed login attempts
+ * @param {Number} id User's id
+ * @returns {Boolean} Unlock successful
+ */
+exports.unlock = async (id) => {
+  const result = await database.query('SELECT email FROM users WHERE "deletedAt" IS NULL AND id = $1', [id]);
+  const user = result.rows[0];
+
+  if (!user) {
+    // No user found
+    throw new Error('No Record Found');
+  }
+
+  await LockoutService.clear(user.email);
+  return true;
 };
 
 /**
  * Verifies that a valid token has not been invalidated
- * Token is valid if it was created after user's "tokenBlacklistDate" if present
+ * Token is valid if it was created at or after user's "tokenBlacklistDate" if present,
+ * and its session has not ended
  * @param {Object} params Verify Token parameters
  * @param {Number} params.id User's id
  * @param {Date} params.createTime When user's token was created
+ * @param {Number} params.session (optional) Id of the session the token belongs to
  * @returns {Boolean} Whether token is valid
  */
-exports.verifyToken = async ({ id, createTime }) => {
+exports.verifyToken = async ({ id, createTime, session = null }) => {
   // Find the user
   const result = await database.query(
-    'SELECT id FROM users WHERE id = $1 AND "deletedAt" IS NULL AND ("tokenBlacklistDate" IS NULL OR "tokenBlacklistDate" < $2)',
-    [id, createTime],
+    `SELECT id FROM users WHERE id = $1 AND "deletedAt" IS NULL AND ("tokenBlacklistDate" IS NULL OR "tokenBlacklistDate" <= $2)
+    AND ($3::INTEGER IS NULL OR EXISTS (
+      SELECT 1 FROM sessions WHERE sessions.id = $3 AND sessions.owner = users.id AND sessions."revokedAt" IS NULL
+    ))`,
+    [id, createTime, session],
   );
   const user = result.rows[0];
 
@@ -173,7 +333,7 @@ exports.findOneById = async (
   { paranoid = true } = { paranoid: true },
 ) => {
   // Find the user
-  let query = `SELECT users.id AS id, "firstName", "lastName", email, "createdAt", "updatedAt", "deletedAt", user_roles.name AS role FROM users
+  let query = `SELECT users.id AS id, "firstName", "lastName", email, "emailVerifiedAt", "createdAt", "updatedAt", "deletedAt", user_roles.name AS role FROM users
     LEFT JOIN user_roles ON users.role = user_roles.id
     WHERE users.id = $1
   `;
@@ -197,26 +357,44 @@ exports.findOneById = async (
  * @param {String} searchText (optional) Text to search against
  * @param {Object} options (optional) Search options
  * @param {Boolean} options.paranoid (optional) Whether to omit deleted records, defaults to true
- * @param {Number} options.limit (optional) Maximum number of records to return, defaults to no limit
+ * @param {Boolean} options.trashed (optional) Whether to only return deleted records
+ * @param {Number} options.limit (optional) Maximum number of records to return,
+ * defaults to no limit
  * @param {Number} options.offset (optional) Number of records to skip over, defaults to 0
- * @param {String} options.orderBy (optional) Which column to sort records by, defaults to id
+ * @param {String} options.orderBy (optional) Comma separated columns to sort records by,
+ * prefixed with `-` to sort descending, defaults to id
+ * @param {Array} options.cursor (optional) Sort values of the record to continue after,
+ * an empty array starts from the beginning. Results include the next `cursor` instead of a `count`
+ * @param {String} options.fields (optional) Comma separated fields to select,
+ * defaults to every field
  * @returns {User} Found user
  */
 exports.search = async (
   searchText,
   {
     paranoid = true,
+    trashed = false,
     limit = null,
     offset = 0,
     orderBy = 'id',
+    cursor = null,
+    fields = null,
   } = {
     paranoid: true,
+    trashed: false,
     limit: null,
     offset: 0,
     orderBy: 'id',
+    cursor: null,
+    fields: null,
   },
 ) => {
-  let query = `SELECT users.id AS id, "firstName", "lastName", email, "createdAt", "updatedAt", "deletedAt", user_roles.name AS role FROM users
+  // Sort by the requested columns
+  const sorts = QueryService.parseSort(orderBy, _sortColumns);
+
+  const columns = QueryService.selectFields(fields, _fieldColumns);
+  const cursorColumn = cursor ? `, ${QueryService.cursorColumn(sorts)}` : '';
+  let query = `SELECT ${columns}${cursorColumn} FROM users
   LEFT JOIN user_roles ON users.role = user_roles.id`;
 
   let countQuery = 'SELECT COUNT(*) FROM users';
@@ -229,10 +407,16 @@ exports.search = async (
     where.push(`("firstName" || "lastName" || email) LIKE concat('%',(TEXT($${values.length})),'%')`);
   }
 
-  if (paranoid) {
+  if (trashed) {
+    where.push('"deletedAt" IS NOT NULL');
+  } else if (paranoid) {
     where.push('"deletedAt" IS NULL');
   }
 
+  if (cursor && cursor.length) {
+    where.push(QueryService.keyset(sorts, cursor, values));
+  }
+
   if (where.length) {
     const whereClause = ` WHERE ${where.join(' AND ')}`;
     query += whereClause;
@@ -240,25 +424,18 @@ exports.search = async (
   }
 
   // Count the total records before limit and offset
-  const countResult = await database.query(countQuery, values);
+  // Keyset pagination skips counting, which gets slow on large tables
+  const countResult = cursor ? null : await database.query(countQuery, values);
 
-  // This is technically vulnerable to SQL injection,
-  // but route validation should prevent any attacks.
-  // Unfortunately `pg` does not work with parameters for ORDER BY.
-  const descendingSort = orderBy.startsWith('-');
-  if (descendingSort) {
-    query += ` ORDER BY "${orderBy.substr(1)}" DESC`;
-  } else {
-    query += ` ORDER BY "${orderBy}"`;
-  }
-  // TODO: Handle multiple sorts
+  query += QueryService.orderBy(sorts);
 
   if (limit) {
-    values.push(limit);
+    // Keyset pagination fetches an extra record to find out if there is another page
+    values.push(cursor ? limit + 1 : limit);
     query += ` LIMIT $${values.length}`;
   }
 
-  if (offset) {
+  if (offset && !cursor) {
     values.push(offset);
     query += ` OFFSET $${values.length}`;
   }
@@ -268,6 +445,14 @@ exports.search = async (
     values,
   );
 
+  if (cursor) {
+    const page = QueryService.cursorPage(results.rows, limit);
+    return {
+      users: page.rows,
+      cursor: page.cursor,
+    };
+  }
+
   return {
     users: results.rows,
     count: countResult.rows[0].count,
@@ -354,9 +539,108 @@ exports.changePassword = async (id, oldPassword, newPassword) => {
   return true;
 };
 
+/**
+ * Emails a user a link to reset their password
+ * Nothing is sent if no user has the email, so callers should not reveal the outcome
+ * @param {String} email User's email
+ * @returns {Boolean} Whether a link was sent
+ */
+exports.requestPasswordReset = async (email) => {
+  const result = await database.query('SELECT id, email FROM users WHERE "deletedAt" IS NULL AND email = $1', [email.toLowerCase()]);
+  const user = result.rows[0];
+
+  if (!user) {
+    return false;
+  }
+
+  const token = await TokenService.create({
+    owner: user.id,
+    type: 'password_reset',
+    expiry: config.passwordResetExpiry,
+  });
+
+  await MailService.send({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `A password reset was requested for your account. Reset your password within ${config.passwordResetExpiry} at:\n\n`
+      + `${config.passwordResetUrl.replace('{token}', token)}\n\n`
+      + 'If you did not request this, you can ignore this email.',
+  });
+  return true;
+};
+
+/**
+ * Resets a user's password using a token from `requestPasswordReset`
+ * Ends every session of the user
+ * @param {String} token Password reset token
+ * @param {String} password Password to change to
+ * @returns {Boolean} Update successful
+ */
+exports.resetPassword = async (token, password) => {
+  const id = await TokenService.consume(token, 'password_reset');
+
+  await exports.update(id, { password });
+  await exports.revokeTokens(id);
+
+  return true;
+};
+
+/**
+ * Emails a user a link to verify their email
+ * Nothing is sent if no unverified user has the email, so callers should not reveal the outcome
+ * @param {String} email User's email
+ * @returns {Boolean} Whether a link was sent
+ */
+exports.sendVerification = async (email) => {
+  const result = await database.query('SELECT id, email FROM users WHERE "deletedAt" IS NULL AND "emailVerifiedAt" IS NULL AND email = $1', [email.toLowerCase()]);
+  const user = result.rows[0];
+
+  if (!user) {
+    return false;
+  }
+
+  const token = await TokenService.create({
+    owner: user.id,
+    type: 'email_verification',
+    expiry: config.emailVerificationExpiry,
+  });
+
+  await MailService.send({
+    to: user.email,
+    subject: 'Verify your email',
+    text: `Verify your email within ${config.emailVerificationExpiry} at:\n\n`
+      + `${config.emailVerificationUrl.replace('{token}', token)}\n\n`
+      + 'If you did not create an account, you can ignore this email.',
+  });
+  return true;
+};
+
+/**
+ * Verifies a user's email using a token from `sendVerification`
+ * @param {String} token Email verification token
+ * @returns {Boolean} Update successful
+ */
+exports.verifyEmail = async (token) => {
+  const id = await TokenService.consume(token, 'email_verification');
+
+  await exports.update(id, { emailVerifiedAt: new Date() });
+
+  return true;
+};
+
+/**
+ * Determines if a user has verified their email
+ * @param {Number} id User's id
+ * @returns {Boolean} If the user's email is verified
+ */
+exports.hasVerifiedEmail = async (id) => {
+  const result = await database.query('SELECT id FROM users WHERE id = $1 AND "emailVerifiedAt" IS NOT NULL', [id]);
+  return result.rowCount > 0;
+};
+
 /**
  * Changes a user's email
- * Checks that the correct password was provided
+ * Checks that the correct password was provided, and emails a link to verify the new email
  * @param {Number} id User's id
  * @param {String} password User's password
  * @param {String} email Email to change to
@@ -380,8 +664,9 @@ exports.changeEmail = async (id, password, email) => {
     throw new Error('Invalid Password');
   }
 
-  // Password is good, update the email
-  await exports.update(id, { email: email.toLowerCase() });
+  // Password is good, update the email, which must be verified again
+  await exports.update(id, { email: email.toLowerCase(), emailVerifiedAt: null });
+  await exports.sendVerification(email);
 
   return true;
 };
@@ -396,3 +681,93 @@ exports.softDelete = async (id) => {
 
   return true;
 };
+
+/**
+ * Restores a deleted user by id
+ * @param {Number} id User's id
+ * @returns {Boolean} Restore successful
+ */
+exports.restore = async (id) => {
+  const result = await database.query(
+    'UPDATE users SET "deletedAt" = NULL WHERE id = $1 AND "deletedAt" IS NOT NULL',
+    [id],
+  );
+
+  if (result.rowCount === 0) {
+    throw new Error('No Records Updated');
+  }
+
+  return true;
+};
+
+/**
+ * Permanently deletes a user by id, along with their sessions, tokens and API keys
+ * Users that still own posts, comments or media can not be deleted
+ * @param {Number} id User's id
+ * @returns {Boolean} Delete successful
+ */
+exports.hardDelete = async (id) => {
+  const email = await database.transaction(async (client) => {
+    const found = await client.query('SELECT email FROM users WHERE id = $1 FOR UPDATE', [id]);
+    const user = found.rows[0];
+
+    if (!user) {
+      throw new Error('No Records Updated');
+    }
+
+    const owned = await client.query(
+      `SELECT 1 WHERE EXISTS (SELECT 1 FROM posts WHERE author = $1)
+        OR EXISTS (SELECT 1 FROM comments WHERE author = $1)
+        OR EXISTS (SELECT 1 FROM media WHERE uploader = $1)`,
+      [id],
+    );
+    if (owned.rowCount > 0) {
+      throw new Error('Record In Use');
+    }
+
+    // Edits made by the user are kept, without crediting them
+    await client.query('UPDATE posts SET "updatedBy" = NULL WHERE "updatedBy" = $1', [id]);
+    await client.query('UPDATE posts SET "revisedBy" = NULL WHERE "revisedBy" = $1', [id]);
+    await client.query('UPDATE post_revisions SET editor = NULL WHERE editor = $1', [id]);
+
+    await client.query('DELETE FROM sessions WHERE owner = $1', [id]);
+    await client.query('DELETE FROM user_tokens WHERE owner = $1', [id]);
+    await client.query('DELETE FROM recovery_codes WHERE owner = $1', [id]);
+    await client.query('DELETE FROM api_keys WHERE owner = $1', [id]);
+
+    await client.query('DELETE FROM users WHERE id = $1', [id]);
+    return user.email;
+  });
+
+  // Forget failed logins, so the email starts fresh if it is registered again
+  await LockoutService.clear(email);
+
+  return true;
+};
+
+/**
+ * Permanently deletes users that have been deleted for longer than a retention period
+ * Users that still own posts, comments or media are kept
+ * @param {String} retention How long deleted users are kept, such as `30 days`
+ * @returns {Number} Number of users purged
+ */
+exports.purgeTrash = async (retention) => {
+  const result = await database.query(
+    'SELECT id FROM users WHERE "deletedAt" < CURRENT_TIMESTAMP - $1::INTERVAL',
+    [retention],
+  );
+
+  let purged = 0;
+  await Promise.each(result.rows, ({ id }) => exports.hardDelete(id)
+    .then(() => {
+      purged += 1;
+    })
+    .catch((err) => {
+      // Skip users that were already purged or still own content
+      if (err.message !== 'No Records Updated' && err.message !== 'Record In Use') {
+        throw err;
+      }
+    }));
+
+  return purged;
+};
@@ -0,0 +1,86 @@
+const Hapi = require('hapi');
+
+jest.mock('bcrypt', () => ({}));
+jest.mock('../services/database', () => ({ query: jest.fn() }));
+jest.mock('../services/user', () => ({}));
+jest.mock('../services/apiKey', () => ({
+  create: async ({ name, scopes }) => ({
+    id: 1, name, scopes, key: 'key',
+  }),
+}));
+
+const RoleService = require('../services/role');
+const AuthenticationService = require('../services/authentication');
+const apiKeyRoutes = require('../routes/api_keys');
+
+describe('POST /api_keys', () => {
+  let server;
+
+  beforeEach(async () => {
+    jest.spyOn(RoleService, 'getPermissions')
+      .mockImplementation(async () => ['posts:write', 'posts:preview']);
+
+    server = Hapi.server();
+    // Signs every request in as the same user
+    server.auth.scheme('jwt', () => ({
+      authenticate: (request, h) => h.authenticated({ credentials: { id: 1 } }),
+    }));
+    server.auth.strategy('jwt', 'jwt');
+    server.route(apiKeyRoutes('/api_keys'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('creates keys with permissions the user has', async () => {
+    const res = await server.inject({
+      method: 'POST',
+      url: '/api_keys',
+      payload: { name: 'Deploys', scopes: ['posts:write'] },
+    });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.result.scopes).toEqual(['posts:write']);
+  });
+
+  it('refuses permissions the user does not have', async () => {
+    const res = await server.inject({
+      method: 'POST',
+      url: '/api_keys',
+      payload: { name: 'Deploys', scopes: ['posts:write', 'users:manage'] },
+    });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.result.message).toBe('API keys can only be given permissions you have');
+  });
+});
+
+describe('AuthenticationService.hasPermission', () => {
+  beforeEach(() => {
+    jest.spyOn(RoleService, 'hasPermission')
+      .mockImplementation(async (id, permission) => permission !== 'users:manage');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('limits API keys to their scopes', async () => {
+    const credentials = { id: 1, scopes: ['posts:write'] };
+
+    await expect(AuthenticationService.hasPermission(credentials, 'posts:write')).resolves.toBe(true);
+    await expect(AuthenticationService.hasPermission(credentials, 'posts:publish')).resolves.toBe(false);
+  });
+
+  it('does not give API keys permissions their owner has lost', async () => {
+    const credentials = { id: 1, scopes: ['users:manage'] };
+
+    await expect(AuthenticationService.hasPermission(credentials, 'users:manage')).resolves.toBe(false);
+  });
+
+  it('checks the role of users signed in without an API key', async () => {
+    await expect(AuthenticationService.hasPermission({ id: 1 }, 'posts:publish')).resolves.toBe(true);
+    await expect(AuthenticationService.hasPermission({ id: 1 }, 'users:manage')).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,22 @@
+jest.mock('../config.example.json', () => ({ wordsPerMinute: 200, excerptLength: 40 }));
+
+const MarkdownService = require('../services/markdown');
+
+describe('MarkdownService.render', () => {
+  it('builds the excerpt from paragraphs as plain text', () => {
+    const { excerpt } = MarkdownService.render('# Title\n\nTom & *Jerry*\nagain\n\n```\ncode\n```');
+    expect(excerpt).toBe('Tom & Jerry again');
+  });
+
+  it('leaves raw HTML out of the excerpt', () => {
+    const content = 'Hi <script>alert(1)</script> <b>there</b>\n\n<script>\nalert(2)\n</script>';
+    const { excerpt } = MarkdownService.render(content);
+    expect(excerpt).toBe('Hi there');
+  });
+
+  it('cuts long excerpts at a whole word', () => {
+    const { excerpt } = MarkdownService.render(Array(20).fill('word').join(' '));
+    expect(excerpt).toBe(`${Array(8).fill('word').join(' ')}…`);
+    expect(excerpt.length).toBeLessThanOrEqual(40);
+  });
+});
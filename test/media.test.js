@@ -0,0 +1,35 @@
+jest.mock('../services/database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+jest.mock('../services/storage', () => ({ remove: jest.fn() }));
+
+const database = require('../services/database');
+const StorageService = require('../services/storage');
+const MediaService = require('../services/media');
+
+describe('MediaService.hardDelete', () => {
+  let client;
+
+  beforeEach(() => {
+    client = { query: jest.fn() };
+    database.transaction.mockImplementation(callback => callback(client));
+    StorageService.remove.mockReset();
+  });
+
+  it('removes the stored file along with the record', async () => {
+    client.query.mockImplementation(async () => ({ rows: [{ key: 'photo.png' }], rowCount: 1 }));
+
+    await expect(MediaService.hardDelete(1)).resolves.toBe(true);
+    expect(client.query).toHaveBeenCalledWith(
+      'UPDATE posts SET "featuredImage" = NULL WHERE "featuredImage" = $1',
+      [1],
+    );
+    expect(client.query).toHaveBeenCalledWith('DELETE FROM media WHERE id = $1', [1]);
+    expect(StorageService.remove).toHaveBeenCalledWith('photo.png');
+  });
+
+  it('keeps files when the record is not found', async () => {
+    client.query.mockImplementation(async () => ({ rows: [], rowCount: 0 }));
+
+    await expect(MediaService.hardDelete(1)).rejects.toThrow('No Records Updated');
+    expect(StorageService.remove).not.toHaveBeenCalled();
+  });
+});
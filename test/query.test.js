@@ -0,0 +1,18 @@
+const QueryService = require('../services/query');
+
+describe('QueryService.escapeHeadline', () => {
+  it('marks matches in bold', () => {
+    expect(QueryService.escapeHeadline('a \u0002match\u0003 here')).toBe('a <b>match</b> here');
+  });
+
+  it('escapes HTML in the text around matches', () => {
+    const headline = '<img src=x onerror=alert(1)> [x](javascript:alert(1)) \u0002alert\u0003';
+    expect(QueryService.escapeHeadline(headline)).toBe(
+      '&lt;img src=x onerror=alert(1)&gt; [x](javascript:alert(1)) <b>alert</b>',
+    );
+  });
+
+  it('escapes HTML within matches', () => {
+    expect(QueryService.escapeHeadline('\u0002<script>\u0003')).toBe('<b>&lt;script&gt;</b>');
+  });
+});
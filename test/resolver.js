@@ -0,0 +1,20 @@
+/**
+ * Test Resolver
+ *
+ * Resolves modules loaded with `require.main.require` from the root of the project, the same way
+ * the server does, as the test being run is the main module. The example config stands in for
+ * the config, which is not checked in.
+ */
+
+const path = require('path');
+
+const _root = path.resolve(__dirname, '..');
+
+module.exports = (request, options) => {
+  if (options.basedir === __dirname && request.startsWith('./')) {
+    const file = request === './config' ? './config.example.json' : request;
+    return options.defaultResolver(path.resolve(_root, file), options);
+  }
+
+  return options.defaultResolver(request, options);
+};
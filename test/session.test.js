@@ -0,0 +1,86 @@
+// Keeps sessions in memory, handling the queries the session service makes
+jest.mock('../services/database', () => {
+  const sessions = [];
+  return {
+    sessions,
+    query: async (query, values) => {
+      if (query.startsWith('INSERT INTO sessions')) {
+        const [owner, tokenHash] = values;
+        const session = {
+          id: sessions.length + 1, owner, tokenHash, previousTokenHash: null, revokedAt: null,
+        };
+        sessions.push(session);
+        return { rows: [{ id: session.id }], rowCount: 1 };
+      }
+      if (query.includes('"previousTokenHash" = "tokenHash"')) {
+        const [tokenHash, nextTokenHash] = values;
+        const rows = sessions
+          .filter(session => session.tokenHash === tokenHash && !session.revokedAt)
+          .map((session) => {
+            Object.assign(session, {
+              previousTokenHash: session.tokenHash,
+              tokenHash: nextTokenHash,
+            });
+            return { id: session.id, owner: session.owner };
+          });
+        return { rows, rowCount: rows.length };
+      }
+      if (query.includes('WHERE "previousTokenHash" = $1')) {
+        const [tokenHash] = values;
+        const revoked = sessions
+          .filter(session => session.previousTokenHash === tokenHash && !session.revokedAt);
+        revoked.forEach((session) => {
+          Object.assign(session, { revokedAt: new Date() });
+        });
+        return { rows: [], rowCount: revoked.length };
+      }
+      throw new Error(`Unexpected query: ${query}`);
+    },
+  };
+});
+jest.mock('../services/authentication', () => {
+  let tokens = 0;
+  return {
+    createRandomToken: () => {
+      tokens += 1;
+      return `refresh-${tokens}`;
+    },
+    hashToken: token => `hash:${token}`,
+    createToken: async ({ id, session }) => `access-${id}-${session}`,
+  };
+});
+
+const database = require('../services/database');
+const SessionService = require('../services/session');
+
+describe('SessionService.refresh', () => {
+  let refreshToken;
+
+  beforeEach(async () => {
+    database.sessions.length = 0;
+    ({ refreshToken } = await SessionService.start({ owner: 1 }));
+  });
+
+  it('replaces the refresh token each time it is used', async () => {
+    const refreshed = await SessionService.refresh(refreshToken);
+    expect(refreshed.token).toBe('access-1-1');
+    expect(refreshed.refreshToken).not.toBe(refreshToken);
+
+    await expect(SessionService.refresh(refreshed.refreshToken)).resolves.toHaveProperty('token');
+  });
+
+  it('ends the session when a used refresh token is reused', async () => {
+    const refreshed = await SessionService.refresh(refreshToken);
+
+    await expect(SessionService.refresh(refreshToken)).rejects.toThrow('Invalid Refresh Token');
+    expect(database.sessions[0].revokedAt).toBeInstanceOf(Date);
+
+    // The token handed out with the reused one no longer works either
+    await expect(SessionService.refresh(refreshed.refreshToken)).rejects.toThrow('Invalid Refresh Token');
+  });
+
+  it('rejects unknown refresh tokens without ending other sessions', async () => {
+    await expect(SessionService.refresh('unknown')).rejects.toThrow('Invalid Refresh Token');
+    expect(database.sessions[0].revokedAt).toBeNull();
+  });
+});
@@ -0,0 +1,77 @@
+global.Promise = require('bluebird');
+
+jest.mock('../services/database', () => ({ query: jest.fn() }));
+jest.mock('../services/authentication', () => ({}));
+
+const database = require('../services/database');
+const PostService = require('../services/post');
+const CategoryService = require('../services/category');
+const MediaService = require('../services/media');
+const UserService = require('../services/user');
+const TrashService = require('../services/trash');
+
+describe('PostService.purgeTrash', () => {
+  beforeEach(() => {
+    database.query.mockImplementation(async () => ({ rows: [{ id: 1 }, { id: 2 }, { id: 3 }] }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('deletes posts one at a time', async () => {
+    let deleting = 0;
+    const overlapping = [];
+    jest.spyOn(PostService, 'hardDelete').mockImplementation(async () => {
+      deleting += 1;
+      overlapping.push(deleting);
+      await new Promise(resolve => setImmediate(resolve));
+      deleting -= 1;
+      return true;
+    });
+
+    await expect(PostService.purgeTrash('30 days')).resolves.toBe(3);
+    expect(overlapping).toEqual([1, 1, 1]);
+  });
+
+  it('skips posts that were already purged', async () => {
+    jest.spyOn(PostService, 'hardDelete').mockImplementation(async (id) => {
+      if (id === 2) {
+        throw new Error('No Records Updated');
+      }
+      return true;
+    });
+
+    await expect(PostService.purgeTrash('30 days')).resolves.toBe(2);
+  });
+
+  it('stops on unexpected errors', async () => {
+    jest.spyOn(PostService, 'hardDelete').mockImplementation(async () => {
+      throw new Error('Connection Terminated');
+    });
+
+    await expect(PostService.purgeTrash('30 days')).rejects.toThrow('Connection Terminated');
+  });
+});
+
+describe('TrashService.purge', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('purges the remaining records when one type fails', async () => {
+    const error = new Error('Connection Terminated');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(PostService, 'purgeTrash').mockImplementation(async () => 1);
+    jest.spyOn(CategoryService, 'purgeTrash').mockImplementation(async () => 2);
+    jest.spyOn(MediaService, 'purgeTrash').mockImplementation(async () => {
+      throw error;
+    });
+    jest.spyOn(UserService, 'purgeTrash').mockImplementation(async () => 3);
+
+    await expect(TrashService.purge()).resolves.toEqual({
+      posts: 1, categories: 2, media: 0, users: 3,
+    });
+    expect(console.error).toHaveBeenCalledWith('Unexpected error purging deleted media', error);
+  });
+});
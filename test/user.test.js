@@ -0,0 +1,106 @@
+jest.mock('../services/database', () => ({ query: jest.fn() }));
+jest.mock('../services/authentication', () => ({
+  verifyCredentials: async password => password === 'password123',
+}));
+jest.mock('../services/session', () => ({
+  start: async () => ({ token: 'token', refreshToken: 'refreshToken' }),
+}));
+jest.mock('../services/token', () => ({
+  create: async () => 'challenge',
+  findOwner: async () => 1,
+  consume: async () => true,
+}));
+jest.mock('../services/twoFactor', () => ({
+  verify: async (id, code) => {
+    if (code !== '123456') {
+      throw new Error('Invalid Code');
+    }
+    return true;
+  },
+}));
+jest.mock('../services/mail', () => ({}));
+// Counts failures in memory, locking accounts out at the configured threshold
+jest.mock('../services/lockout', () => {
+  const config = require('../config.example.json');
+  const failures = {};
+  return {
+    failures,
+    accountKey: email => `account:${email.toLowerCase()}`,
+    ipKey: ip => `ip:${ip}`,
+    check: async (keys) => {
+      if (keys.some(key => failures[key] >= config.loginLockout.accountThreshold)) {
+        throw new Error('Too Many Attempts');
+      }
+      return true;
+    },
+    recordFailure: async ({ email }) => {
+      const key = `account:${email.toLowerCase()}`;
+      failures[key] = (failures[key] || 0) + 1;
+      return true;
+    },
+    clear: async (email) => {
+      delete failures[`account:${email.toLowerCase()}`];
+      return true;
+    },
+  };
+});
+
+const database = require('../services/database');
+const LockoutService = require('../services/lockout');
+const UserService = require('../services/user');
+const config = require('../config.example.json');
+
+describe('UserService.login', () => {
+  let user;
+
+  beforeEach(() => {
+    Object.keys(LockoutService.failures).forEach((key) => {
+      delete LockoutService.failures[key];
+    });
+
+    user = {
+      id: 1,
+      email: 'user@example.com',
+      password: 'hash',
+      emailVerifiedAt: new Date(),
+      twoFactorEnabledAt: new Date(),
+    };
+    database.query.mockImplementation(async () => ({ rows: [user], rowCount: 1 }));
+  });
+
+  it('locks out accounts guessing two factor codes between password logins', async () => {
+    // Each attempt logs in with the password again, then guesses a code
+    const attempts = Array.from({ length: config.loginLockout.accountThreshold });
+    await attempts.reduce(async (previous) => {
+      await previous;
+      const { challenge } = await UserService.login({ email: user.email, password: 'password123' });
+      await expect(UserService.loginWithCode({ challenge, code: '000000' }))
+        .rejects.toThrow('Invalid Code');
+    }, Promise.resolve());
+
+    await expect(UserService.login({ email: user.email, password: 'password123' }))
+      .rejects.toThrow('Too Many Attempts');
+  });
+
+  it('clears failed attempts once a two factor code is verified', async () => {
+    await expect(UserService.login({ email: user.email, password: 'wrong' }))
+      .rejects.toThrow('Invalid Credentials');
+
+    const { challenge } = await UserService.login({ email: user.email, password: 'password123' });
+    expect(LockoutService.failures['account:user@example.com']).toBe(1);
+
+    const tokens = await UserService.loginWithCode({ challenge, code: '123456' });
+    expect(tokens).toEqual({ token: 'token', refreshToken: 'refreshToken' });
+    expect(LockoutService.failures['account:user@example.com']).toBeUndefined();
+  });
+
+  it('clears failed attempts on login without two factor authentication', async () => {
+    user.twoFactorEnabledAt = null;
+    await expect(UserService.login({ email: user.email, password: 'wrong' }))
+      .rejects.toThrow('Invalid Credentials');
+
+    const tokens = await UserService.login({ email: user.email, password: 'password123' });
+    expect(tokens).toEqual({ token: 'token', refreshToken: 'refreshToken' });
+    expect(LockoutService.failures['account:user@example.com']).toBeUndefined();
+  });
+});